@@ -2,140 +2,286 @@ import _ from 'lodash';
 
 const REMOVED_MARKER = '______MONGO_OBJECT_REMOVED______';
 
+// How many levels of nested objects and arrays are traversed by default
+const DEFAULT_MAX_DEPTH = 100;
+
+// Functions used by applyModifier, keyed by update operator
+const UPDATE_OPERATORS = {
+  $set: applySet,
+  $setOnInsert: () => {},
+  $unset: applyUnset,
+  $inc: applyInc,
+  $mul: applyMul,
+  $min: applyMin,
+  $max: applyMax,
+  $rename: applyRename,
+  $currentDate: applyCurrentDate,
+  $push: applyPush,
+  $addToSet: applyAddToSet,
+  $pull: applyPull,
+  $pullAll: applyPullAll,
+  $pop: applyPop,
+};
+
+// How each update operator treats the keys and values under it. `access`
+// is 'write' where the current value is replaced without being read,
+// 'readWrite' where the new value depends on the current one, and 'remove'
+// where the key is removed. `valueType` is 'literal' for values that are
+// stored or compared as they are, 'delta' for amounts to change the current
+// value by, 'condition' for queries, and 'instruction' for anything else.
+const OPERATOR_INFO = {
+  $set: { access: 'write', valueType: 'literal' },
+  $setOnInsert: { access: 'write', valueType: 'literal' },
+  $unset: { access: 'remove', valueType: 'instruction' },
+  $inc: { access: 'readWrite', valueType: 'delta' },
+  $mul: { access: 'readWrite', valueType: 'delta' },
+  $min: { access: 'readWrite', valueType: 'literal' },
+  $max: { access: 'readWrite', valueType: 'literal' },
+  $rename: { access: 'remove', valueType: 'instruction' },
+  $currentDate: { access: 'write', valueType: 'instruction' },
+  $bit: { access: 'readWrite', valueType: 'instruction' },
+  $push: { access: 'readWrite', valueType: 'literal' },
+  $addToSet: { access: 'readWrite', valueType: 'literal' },
+  $pull: { access: 'readWrite', valueType: 'condition' },
+  $pullAll: { access: 'readWrite', valueType: 'literal' },
+  $pop: { access: 'readWrite', valueType: 'instruction' },
+};
+
+// All operators that may appear in a modifier
+const MODIFIER_OPERATORS = Object.keys(OPERATOR_INFO);
+
+// How each stage of an update pipeline treats the keys and values under it,
+// as in OPERATOR_INFO. A `valueType` of 'expression' is for aggregation
+// expressions, which may read other fields.
+const PIPELINE_STAGE_INFO = {
+  $set: { access: 'write', valueType: 'expression' },
+  $addFields: { access: 'write', valueType: 'expression' },
+  $unset: { access: 'remove', valueType: 'instruction' },
+  $project: { access: 'write', valueType: 'expression' },
+  $replaceRoot: { access: 'write', valueType: 'expression' },
+  $replaceWith: { access: 'write', valueType: 'expression' },
+};
+
+// Operators whose values are stored in the document as they are
+const LITERAL_VALUE_OPERATORS = ['$set', '$setOnInsert', '$push', '$addToSet'];
+
+// Options of $push other than $each
+const PUSH_MODIFIERS = ['$slice', '$sort', '$position'];
+
+// Types registered with MongoObject.registerType, in the order they were
+// registered. BSON values are treated as immutable, so they are not copied
+// when cloned.
+const TYPES = [
+  {
+    name: 'Date',
+    test: (value) => value instanceof Date,
+    clone: (value) => new Date(value.getTime()),
+    isEqual: (a, b) => a.getTime() === b.getTime(),
+  },
+  { name: 'ObjectId', test: bsonTypeTest('ObjectID', 'ObjectId'), isEqual: bsonValuesEqual },
+  { name: 'Decimal128', test: bsonTypeTest('Decimal128'), isEqual: bsonValuesEqual },
+  { name: 'Binary', test: bsonTypeTest('Binary'), isEqual: bsonValuesEqual },
+].map(normalizeType);
+
 export default class MongoObject {
   /*
    * @constructor
    * @param {Object} obj
-   * @param {string[]}  blackboxKeys  - A list of the names of keys that shouldn't be traversed
+   * @param {Object|string[]} [options] - Options, or just the `blackboxKeys` list
+   * @param {Array<String|RegExp>} [options.blackboxKeys=[]] - A list of the generic keys, or key patterns, that shouldn't be traversed
+   * @param {Function} [options.blackboxPredicate] - Called with each object or array and its generic key, returning true if it shouldn't be traversed
+   * @param {Array<String|Function>} [options.blackboxTypes=[]] - Names of registered types, or constructors, whose values shouldn't be traversed
+   * @param {Boolean} [options.immutable=false] - Never modify the passed object
+   * @param {Boolean} [options.history=false] - Record changes so that they can be undone, redone and replayed
+   * @param {Number} [options.maxDepth=100] - How many levels of nested objects and arrays to allow
    * @returns {undefined}
    *
    * Creates a new MongoObject instance. The object passed as the first argument
    * will be modified in place by calls to instance methods. Also, immediately
    * upon creation of the instance, the object will have any `undefined` keys
    * removed recursively.
+   *
+   * With `immutable: true`, the passed object is never modified, so it may be
+   * frozen. Each change instead replaces the object with a copy that shares
+   * everything but the changed path with the previous version, and `getObject`
+   * returns the latest version. `undefined` keys are ignored rather than removed.
+   *
+   * The `blackboxKeys` list may contain glob patterns and RegExps, which are
+   * matched as described for `getPositionsForGenericKey`. A blackboxed object
+   * or array is treated as a single value, so `forEachNode`, `getFlatObject`
+   * and `docToModifier` see it as one endpoint rather than looking inside.
+   * The items of arrays matched by `blackboxKeys` are still parsed, as they
+   * always have been, so `{a: [1, 2]}` with `blackboxKeys: ['a']` has the
+   * positions 'a[0]' and 'a[1]'. Use `blackboxPredicate` or `blackboxTypes` to
+   * treat an array as a single value.
+   *
+   * With `history: true`, every call to a method that changes the object is
+   * recorded as one operation, for `undo`, `redo` and `getHistory`.
+   *
+   * Parsing throws a `MongoObject.ObjectStructureError` if an object or array
+   * is nested more than `maxDepth` levels deep, or contains itself. This is
+   * also thrown by changes that would make the object too deep or contain
+   * itself, which are undone first so that the object is left as it was.
    */
-  constructor(obj, blackboxKeys = []) {
+  constructor(obj, options = {}) {
+    const {
+      blackboxKeys: blackboxKeys = [],
+      blackboxPredicate: blackboxPredicate = null,
+      blackboxTypes: blackboxTypes = [],
+      immutable: immutable = false,
+      history: history = false,
+      maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+    } = Array.isArray(options) ? { blackboxKeys: options } : options;
+
     this._obj = obj;
     this._blackboxKeys = blackboxKeys;
+    this._isBlackboxKey = genericKeyMatcher(blackboxKeys);
+    this._isBlackboxValue = blackboxValueTest(blackboxPredicate, blackboxTypes);
+    this._immutable = immutable;
+    this._maxDepth = maxDepth;
+    this._batch = null;
+    this._listeners = { change: [] };
+    this._history = history ? { done: [], undone: [], operation: null, paused: false } : null;
     this._reParseObj();
   }
 
   _reParseObj() {
-    const blackboxKeys = this._blackboxKeys;
-
     this._affectedKeys = {};
     this._genericAffectedKeys = {};
-    this._parentPositions = [];
-    this._positionsInsideArrays = [];
-    this._objectPositions = [];
-    this._arrayItemPositions = [];
-
-    function parseObj(_this, val, currentPosition, affectedKey, operator, adjusted, isWithinArray) {
-      // Adjust for first-level modifier operators
-      if (!operator && affectedKey && affectedKey.substring(0, 1) === '$') {
-        operator = affectedKey;
-        affectedKey = null;
-      }
-
-      let affectedKeyIsBlackBox = false;
-      let stop = false;
-      if (affectedKey) {
-        // Adjust for $push and $addToSet and $pull and $pop
-        if (!adjusted) {
-          if (operator === '$push' || operator === '$addToSet' || operator === '$pop') {
-            // Adjust for $each
-            // We can simply jump forward and pretend like the $each array
-            // is the array for the field. This has the added benefit of
-            // skipping past any $slice, which we also don't care about.
-            if (MongoObject.isBasicObject(val) && '$each' in val) {
-              val = val.$each;
-              currentPosition = `${currentPosition}[$each]`;
-            } else {
-              affectedKey = `${affectedKey}.0`;
-            }
+    this._positionsByKey = new Map();
+    this._positionsByGenericKey = new Map();
+    this._parentPositions = new Set();
+    this._positionsInsideArrays = new Set();
+    this._objectPositions = new Set();
+    this._arrayItemPositions = new Set();
+    this._blackboxPositions = new Set();
+    this._positionalOperators = {};
+    this._renameTargets = {};
+    this._readKeys = {};
+    this._isPipeline = isPipeline(this._obj);
 
-            adjusted = true;
-          } else if (operator === '$pull') {
-            affectedKey = `${affectedKey}.0`;
-            if (MongoObject.isBasicObject(val)) {
-              stop = true;
-            }
+    // Parse nodes by position, so that a changed subtree can be parsed again on its own
+    this._nodes = new Map();
+    this._rootNode = parseObj(this, this._obj);
+  }
 
-            adjusted = true;
-          }
-        }
+  /**
+   * @method MongoObject.prototype._reParsePosition
+   * @private
+   * @param {String[]} pieces - The pieces of a position that was just set or removed
+   * @returns {undefined}
+   *
+   * Updates the parsed state after a change at a position, parsing again only
+   * the part of the object that the change could have affected.
+   */
+  _reParsePosition(pieces) {
+    // Positions within a top-level array are not tracked by node
+    if (Array.isArray(this._obj)) {
+      this._reParseObj();
+      return;
+    }
 
-        // Make generic key
-        const affectedKeyGeneric = MongoObject.makeKeyGeneric(affectedKey);
+    // Find the closest parsed node at or above the changed position
+    let depth = pieces.length;
+    let node;
+    while (depth > 0 && !node) {
+      node = this._nodes.get(formatPosition(pieces.slice(0, depth)));
+      if (!node) depth--;
+    }
 
-        // Determine whether affected key should be treated as a black box
-        affectedKeyIsBlackBox = blackboxKeys.indexOf(affectedKeyGeneric) > -1;
+    if (node && depth === pieces.length) {
+      this._reParseNode(node);
+      return;
+    }
 
-        // Mark that this position affects this generic and non-generic key
-        if (currentPosition) {
-          _this._affectedKeys[currentPosition] = affectedKey;
-          _this._genericAffectedKeys[currentPosition] = affectedKeyGeneric;
+    // The change added a new child below `node`. If `node` was parsed as a
+    // container at its own position, parse just the new child.
+    const parentNode = node || this._rootNode;
+    const container = parentNode.container;
+    if (!container || container.position !== parentNode.position) {
+      this._reParseNode(parentNode);
+      return;
+    }
 
-          // If we're within an array, mark this position so we can omit it from flat docs
-          if (isWithinArray) _this._positionsInsideArrays.push(currentPosition);
-        }
-      }
+    const key = pieces[depth];
+    const value = getRawValue(this._obj, pieces.slice(0, depth + 1));
+    if (value === undefined) return;
 
-      if (stop) return;
+    // Appending one item is the only array change that leaves other items as they were
+    const itemCount = parentNode.children.size;
+    if (container.isArray && (Number(key) !== itemCount || this._getContainerValue(parentNode).length !== itemCount + 1)) {
+      this._reParseNode(parentNode);
+      return;
+    }
 
-      // Loop through arrays
-      if (Array.isArray(val) && val.length > 0) {
-        if (currentPosition) {
-          // Mark positions with arrays that should be ignored when we want endpoints only
-          _this._parentPositions.push(currentPosition);
-        }
+    parseChild(this, parentNode, value, key);
+    this._refreshContainer(parentNode);
+  }
 
-        // Loop
-        _.each(val, (v, i) => {
-          if (currentPosition) _this._arrayItemPositions.push(`${currentPosition}[${i}]`);
-          parseObj(
-            _this,
-            v,
-            (currentPosition ? `${currentPosition}[${i}]` : i),
-            `${affectedKey}.${i}`,
-            operator,
-            adjusted,
-            true
-          );
-        });
-      } else if ((MongoObject.isBasicObject(val) && !affectedKeyIsBlackBox) || !currentPosition) {
-        // Loop through object keys, only for basic objects,
-        // but always for the passed-in object, even if it
-        // is a custom object.
+  /**
+   * @method MongoObject.prototype._reParseNode
+   * @private
+   * @param {Object} node - A node created by the parser
+   * @returns {undefined}
+   *
+   * Parses the current value at a node's position again, replacing everything
+   * previously parsed at or below that position.
+   */
+  _reParseNode(node) {
+    if (node === this._rootNode) {
+      this._reParseObj();
+      return;
+    }
 
-        if (currentPosition && !_.isEmpty(val)) {
-          // Mark positions with objects that should be ignored when we want endpoints only
-          _this._parentPositions.push(currentPosition);
+    removeParsedNode(this, node);
 
-          // Mark positions with objects that should be left out of flat docs.
-          _this._objectPositions.push(currentPosition);
-        }
+    const parentNode = node.parent;
+    const value = getRawValue(this._obj, parsePosition(node.position));
+    if (value === undefined) {
+      parentNode.children.delete(node.position);
+      this._refreshContainer(parentNode);
+      return;
+    }
 
-        // Loop
-        _.each(val, (v, k) => {
-          if (v === void 0) {
-            delete val[k];
-          } else if (k !== '$slice') {
-            parseObj(
-              _this,
-              v,
-              (currentPosition ? `${currentPosition}[${k}]` : k),
-              appendAffectedKey(affectedKey, k),
-              operator,
-              adjusted,
-              isWithinArray
-            );
-          }
-        });
-      }
+    const { affectedKey, operator, adjusted, isWithinArray } = node.args;
+    parseObj(this, value, node.position, affectedKey, operator, adjusted, isWithinArray, parentNode);
+  }
+
+  /**
+   * @method MongoObject.prototype._refreshContainer
+   * @private
+   * @param {Object} node - A node created by the parser
+   * @returns {undefined}
+   *
+   * After children are added or removed, updates whether a container node is
+   * marked as a parent position.
+   */
+  _refreshContainer(node) {
+    const container = node.container;
+    if (!container || !container.position) return;
+
+    const value = this._getContainerValue(node);
+    const isParent = container.isArray ? value.length > 0 : !_.isEmpty(value);
+    if (isParent) {
+      this._parentPositions.add(container.position);
+      if (!container.isArray) this._objectPositions.add(container.position);
+    } else {
+      this._parentPositions.delete(container.position);
+      this._objectPositions.delete(container.position);
     }
+  }
 
-    parseObj(this, this._obj);
+  /**
+   * @method MongoObject.prototype._getContainerValue
+   * @private
+   * @param {Object} node - A node created by the parser
+   * @returns {Object|Array}
+   *
+   * Returns the current object or array whose children a container node parsed
+   */
+  _getContainerValue(node) {
+    const position = node.container.position;
+    return position ? getRawValue(this._obj, parsePosition(position)) : this._obj;
   }
 
   /**
@@ -143,6 +289,11 @@ export default class MongoObject {
    * @param {Function} func
    * @param {Object} [options]
    * @param {Boolean} [options.endPointsOnly=true] - Only call function for endpoints and not for nodes that contain other nodes
+   * @param {String[]} [options.operators] - Only call function for nodes under these operators
+   * @param {String|RegExp|Array} [options.genericKeys] - Only call function for nodes with these generic keys or key patterns
+   * @param {Number} [options.minDepth=1] - Only call function for keys with at least this many pieces
+   * @param {Number} [options.maxDepth=Infinity] - Only call function for keys with at most this many pieces
+   * @param {String} [options.order='pre'] - 'pre' to visit nodes before the nodes within them, or 'post' to visit them after
    * @returns {undefined}
    *
    * Runs a function for each endpoint node in the object tree, including all items in every array.
@@ -151,49 +302,249 @@ export default class MongoObject {
    * (2) a string representing the node position
    * (3) the representation of what would be changed in mongo, using mongo dot notation
    * (4) the generic equivalent of argument 3, with '$' instead of numeric pieces
+   *
+   * `this.positionalOperators` lists the positional operators in the key, as
+   * returned by `MongoObject.getPositionalOperators`. `this.access` and
+   * `this.valueType` describe how the operator uses the key and value, as
+   * returned by `MongoObject.getOperatorInfo`. For $rename, the key is the
+   * source key, and `this.sourceKey` and `this.targetKey` are both set.
+   *
+   * For an update pipeline, `this.operator` is the stage, such as '$set',
+   * `this.stage` is the index of the stage, and `this.reads` lists the keys
+   * that field paths in the value, such as '$other.field', read.
+   *
+   * Nodes are visited in the order they appear in the object. Pass
+   * `endPointsOnly: false` to also visit the nodes that contain other nodes,
+   * before or after those within them depending on `order`. Calling
+   * `this.stop()` ends the walk after the current node, keeping any updates
+   * already made.
    */
-  forEachNode(func, {
-    endPointsOnly: endPointsOnly = true,
-  } = {}) {
+  forEachNode(func, options = {}) {
     if (typeof func !== 'function') throw new Error('filter requires a loop function');
 
     const updatedValues = {};
-    _.each(this._affectedKeys, (affectedKey, position) => {
-      if (endPointsOnly && this._parentPositions.indexOf(position) > -1) return; // Only endpoints
-      func.call({
-        value: this.getValueForPosition(position),
-        isArrayItem: this._arrayItemPositions.indexOf(position) > -1,
-        operator: extractOp(position),
-        position,
-        key: affectedKey,
-        genericKey: this._genericAffectedKeys[position],
-        updateValue: (newVal) => {
-          updatedValues[position] = newVal;
-        },
-        remove: () => {
-          updatedValues[position] = undefined;
-        },
+    let isStopped = false;
+    const stop = () => {
+      isStopped = true;
+    };
+
+    for (const position of this._getVisitedPositions(options)) {
+      const context = this._getNodeContext(position, this._affectedKeys[position], updatedValues);
+      func.call(_.assign(context, { stop }));
+      if (isStopped) break;
+    }
+
+    // Actually update/remove values as instructed
+    this._recordOperation('forEachNode', () => {
+      _.each(updatedValues, (newVal, position) => {
+        this.setValueForPosition(position, newVal);
       });
     });
+  }
 
-    // Actually update/remove values as instructed
-    _.each(updatedValues, (newVal, position) => {
-      this.setValueForPosition(position, newVal);
+  /**
+   * @method MongoObject.forEachNodeAsync
+   * @param {Function} func - May return a Promise
+   * @param {Object} [options]
+   * @param {Number} [options.concurrency=Infinity] - The most calls to `func` to wait for at once
+   * @returns {Promise} Resolves when all values have been updated
+   *
+   * Like `forEachNode`, but waits for the Promises returned by `func`, so
+   * `this.updateValue` and `this.remove` may be called after awaiting other
+   * work. The nodes are those found when this is called, and the other
+   * options are as for `forEachNode`.
+   *
+   * The updates and removals are all made at once, in a batch, after every
+   * call has settled. If any call throws or rejects, no more calls are
+   * started, nothing is changed, and the returned Promise rejects with the
+   * first error once the calls already started have settled.
+   */
+  forEachNodeAsync(func, options = {}) {
+    const { concurrency: concurrency = Infinity } = options;
+    if (typeof func !== 'function') return Promise.reject(new Error('forEachNodeAsync requires a loop function'));
+    if (!(concurrency >= 1)) return Promise.reject(new Error('concurrency must be at least 1'));
+
+    const updatedValues = {};
+    const contexts = this._getVisitedPositions(options).map((position) => (
+      this._getNodeContext(position, this._affectedKeys[position], updatedValues)
+    ));
+
+    return new Promise((resolve, reject) => {
+      let nextIndex = 0;
+      let running = 0;
+      let failure = null;
+
+      const settle = () => {
+        if (failure) {
+          reject(failure.error);
+          return;
+        }
+
+        try {
+          this.batch(() => {
+            _.each(updatedValues, (newVal, position) => {
+              this.setValueForPosition(position, newVal);
+            });
+          });
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      function runNext() {
+        // Once a call fails, only wait for those already running
+        while (!failure && running < concurrency && nextIndex < contexts.length) {
+          run(contexts[nextIndex]);
+          nextIndex += 1;
+        }
+
+        if (running === 0) settle();
+      }
+
+      function run(context) {
+        running += 1;
+        Promise.resolve()
+          .then(() => func.call(context))
+          .catch((error) => {
+            if (!failure) failure = { error };
+          })
+          .then(() => {
+            running -= 1;
+            runNext();
+          });
+      }
+
+      runNext();
+    });
+  }
+
+  /**
+   * @method MongoObject.nodes
+   * @param {Object} [options] - Options as for `forEachNode`
+   * @returns {Iterator} An iterator of node descriptors
+   *
+   * Returns an iterator of the nodes that `forEachNode` would visit, to use
+   * with `for...of` or to consume lazily. Each node descriptor is created as
+   * the iterator reaches it and has the same properties as the `this` of a
+   * `forEachNode` function, except that `updateValue` and `remove` change the
+   * object right away and there is no `stop`.
+   */
+  nodes(options = {}) {
+    const positions = this._getVisitedPositions(options);
+    let index = 0;
+
+    const iterator = {
+      next: () => {
+        if (index >= positions.length) return { done: true, value: undefined };
+
+        const position = positions[index];
+        index += 1;
+        const node = this._getNodeContext(position, this._affectedKeys[position], {});
+        return {
+          done: false,
+          value: _.assign(node, {
+            updateValue: (newVal) => this.setValueForPosition(position, newVal),
+            remove: () => this.removeValueForPosition(position),
+          }),
+        };
+      },
+    };
+
+    if (typeof Symbol === 'function') iterator[Symbol.iterator] = () => iterator;
+    return iterator;
+  }
+
+  /**
+   * @method MongoObject.prototype._getVisitedPositions
+   * @private
+   * @param {Object} options - Options as for `forEachNode`
+   * @returns {String[]} The positions of the nodes to visit, in order
+   *
+   * Walks the parsed parts of the object in the order they appear in it, so
+   * that the order doesn't depend on the order in which they were parsed.
+   */
+  _getVisitedPositions({
+    endPointsOnly: endPointsOnly = true,
+    operators: operators,
+    genericKeys: genericKeys,
+    minDepth: minDepth = 1,
+    maxDepth: maxDepth = Infinity,
+    order: order = 'pre',
+  } = {}) {
+    if (order !== 'pre' && order !== 'post') throw new Error(`Unknown order ${order}`);
+    const matchesGenericKey = genericKeys === undefined ? null : genericKeyMatcher(_.castArray(genericKeys));
+
+    const isVisited = (position) => {
+      const affectedKey = this._affectedKeys[position];
+      if (affectedKey === undefined) return false;
+      if (endPointsOnly && this._parentPositions.has(position)) return false;
+      if (operators && operators.indexOf(extractOp(position, this._isPipeline)) === -1) return false;
+      if (matchesGenericKey && !matchesGenericKey(this._genericAffectedKeys[position])) return false;
+
+      const depth = affectedKey.split('.').length;
+      return depth >= minDepth && depth <= maxDepth;
+    };
+
+    // Only containers that were parsed are walked, which leaves out
+    // blackboxed values and the values of operators such as $rename
+    const isWalked = (position) => {
+      if (this._parentPositions.has(position)) return true;
+      const node = this._nodes.get(position);
+      return !!node && !!node.container;
+    };
+
+    const positions = [];
+    const walk = (value, position) => {
+      const isIncluded = position !== null && isVisited(position);
+      if (isIncluded && order === 'pre') positions.push(position);
+
+      if (_.isObject(value) && (position === null || isWalked(position))) {
+        for (const key of Object.keys(value)) {
+          walk(value[key], appendSegment(position, key));
+        }
+      }
+
+      if (isIncluded && order === 'post') positions.push(position);
+    };
+
+    walk(this._obj, null);
+    return positions;
+  }
+
+  /**
+   * @method MongoObject.prototype._getNodeContext
+   * @private
+   * @param {String} position
+   * @param {String} affectedKey
+   * @param {Object} updatedValues - Collects the new values set by `updateValue` and `remove`, by position
+   * @returns {Object} The `this` context for a `forEachNode` function
+   */
+  _getNodeContext(position, affectedKey, updatedValues) {
+    return _.assign(this._getOperatorInfoForPosition(position, affectedKey), {
+      value: this.getValueForPosition(position),
+      isArrayItem: this._arrayItemPositions.has(position),
+      operator: extractOp(position, this._isPipeline),
+      position,
+      key: affectedKey,
+      genericKey: this._genericAffectedKeys[position],
+      positionalOperators: this._positionalOperators[position] || [],
+      updateValue: (newVal) => {
+        updatedValues[position] = newVal;
+      },
+      remove: () => {
+        updatedValues[position] = undefined;
+      },
     });
   }
 
   getValueForPosition(position, traverseObject = false) {
-    const splitRe = traverseObject ? /\[|\./ : /\[/;
-    const subkeys = position.split(splitRe);
+    const subkeys = parsePosition(position, traverseObject);
     let current = this._obj;
     const ln = subkeys.length;
     for (let i = 0; i < ln; i++) {
-      let subkey = subkeys[i];
-
-      // If the subkey ends in ']', remove the ending
-      if (subkey.slice(-1) === ']') subkey = subkey.slice(0, -1);
-      current = current[subkey];
-      if (!Array.isArray(current) && !MongoObject.isBasicObject(current) && i < ln - 1) return;
+      current = current[subkeys[i]];
+      if (!Array.isArray(current) && !MongoObject.isTraversableObject(current) && i < ln - 1) return;
     }
 
     if (current === REMOVED_MARKER) return;
@@ -207,16 +558,93 @@ export default class MongoObject {
    * @returns {undefined}
    */
   setValueForPosition(position, value, traverseObject = false) {
-    const splitRe = traverseObject ? /\[|\./ : /\[/;
-    const subkeys = position.split(splitRe);
+    const subkeys = parsePosition(position, traverseObject);
+
+    // Within a batch, changes are queued and applied when the batch ends
+    if (this._batch) {
+      this._batch.updates.push({ position: formatPosition(subkeys), value });
+      return;
+    }
+
+    this._recordOperation('setValueForPosition', () => this._changeValueForPosition(subkeys, value));
+  }
+
+  /**
+   * @method MongoObject.prototype._changeValueForPosition
+   * @private
+   * @param {String[]} subkeys - The pieces of a position
+   * @param {Any} value
+   * @returns {undefined}
+   *
+   * Sets or removes the value at a position, then records the change in the
+   * history and reports it to change listeners.
+   */
+  _changeValueForPosition(subkeys, value) {
+    const history = this._history && !this._history.paused ? this._history : null;
+    if (!this._listeners.change.length && !history) {
+      this._writeValueForPosition(subkeys, value);
+      return;
+    }
+
+    const changedPosition = formatPosition(subkeys);
+
+    // A copy, so that later changes made in place don't change what listeners were given
+    const oldValue = MongoObject.clone(this.getValueForPosition(changedPosition));
+    const oldKey = this._affectedKeys[changedPosition];
+    const oldGenericKey = this._genericAffectedKeys[changedPosition];
+    const recordedPosition = history ? historyPosition(this._obj, subkeys) : null;
+    const recordedOldValue = history ? MongoObject.clone(this.getValueForPosition(recordedPosition)) : undefined;
+    if (!this._writeValueForPosition(subkeys, value)) return;
+    if (oldValue === undefined && value === undefined) return;
+
+    if (history) {
+      history.operation.changes.push({
+        type: value === undefined ? 'remove' : 'set',
+        position: recordedPosition,
+        oldValue: recordedOldValue,
+        newValue: MongoObject.clone(this.getValueForPosition(recordedPosition)),
+      });
+    }
+
+    this._emit('change', {
+      type: value === undefined ? 'remove' : 'set',
+      position: changedPosition,
+      key: oldKey === undefined ? this._affectedKeys[changedPosition] : oldKey,
+      genericKey: oldGenericKey === undefined ? this._genericAffectedKeys[changedPosition] : oldGenericKey,
+      operator: extractOp(changedPosition, this._isPipeline),
+      oldValue,
+      newValue: value,
+    });
+  }
+
+  /**
+   * @method MongoObject.prototype._writeValueForPosition
+   * @private
+   * @param {String[]} subkeys - The pieces of a position
+   * @param {Any} value
+   * @returns {Boolean} False if the position couldn't be reached
+   *
+   * Sets or removes the value at a position and re-parses what changed.
+   */
+  _writeValueForPosition(subkeys, value) {
+    if (this._immutable) {
+      const oldObj = this._obj;
+      const obj = setValueImmutably(oldObj, subkeys, value);
+      if (obj === undefined) return false;
+      this._obj = obj;
+      this._reParseWrite(subkeys, () => {
+        this._obj = oldObj;
+      });
+      return true;
+    }
+
+    const restore = restorerFor(this._obj, subkeys);
+
     let current = this._obj;
     const ln = subkeys.length;
 
     for (let i = 0; i < ln; i++) {
-      let subkey = subkeys[i];
-
-      // If the subkey ends in "]", remove the ending
-      if (subkey.slice(-1) === ']') subkey = subkey.slice(0, -1);
+      const subkey = subkeys[i];
 
       // If we've reached the key in the object tree that needs setting or
       // deleting, do it.
@@ -247,11 +675,33 @@ export default class MongoObject {
         current = current[subkey];
 
         // If we can go no further, then quit
-        if (!Array.isArray(current) && !MongoObject.isBasicObject(current) && i < ln - 1) return;
+        if (!Array.isArray(current) && !MongoObject.isTraversableObject(current) && i < ln - 1) return false;
       }
     }
 
-    this._reParseObj();
+    this._reParseWrite(subkeys, restore);
+    return true;
+  }
+
+  /**
+   * @method MongoObject.prototype._reParseWrite
+   * @private
+   * @param {String[]} subkeys - The pieces of a position that was just set or removed
+   * @param {Function} undoWrite - Puts the object back as it was before the write
+   * @returns {undefined}
+   *
+   * Re-parses what a write changed. If parsing throws because the new value
+   * makes the object contain itself or nests it too deeply, the write is
+   * undone and the object parsed again before the error is rethrown.
+   */
+  _reParseWrite(subkeys, undoWrite) {
+    try {
+      this._reParsePosition(subkeys);
+    } catch (error) {
+      undoWrite();
+      this._reParseObj();
+      throw error;
+    }
   }
 
   /**
@@ -260,7 +710,13 @@ export default class MongoObject {
    * @returns {undefined}
    */
   removeValueForPosition(position, traverseObject) {
-    this.setValueForPosition(position, undefined, traverseObject);
+    this._recordOperation('removeValueForPosition', () => {
+      this.setValueForPosition(position, undefined, traverseObject);
+
+      // MongoDB rejects pipeline stages with nothing left in them. A batch
+      // removes them once its changes have been applied.
+      if (this._isPipeline && !this._batch) this._removeEmptyStages();
+    });
   }
 
   /**
@@ -295,7 +751,7 @@ export default class MongoObject {
     if (position) {
       return {
         value: this.getValueForPosition(position),
-        operator: extractOp(position),
+        operator: extractOp(position, this._isPipeline),
       };
     }
 
@@ -315,7 +771,7 @@ export default class MongoObject {
       if (value !== undefined) {
         return {
           value,
-          operator: extractOp(pos),
+          operator: extractOp(pos, this._isPipeline),
         };
       }
     }
@@ -331,31 +787,36 @@ export default class MongoObject {
    * Example: 'foo[bar][0]'
    */
   getPositionForKey(key) {
-    for (const position of Object.getOwnPropertyNames(this._affectedKeys)) {
-      // We return the first one we find. While it's
-      // possible that multiple update operators could
-      // affect the same non-generic key, we'll assume that's not the case.
-      if (this._affectedKeys[position] === key) return position;
-    }
+    // We return the first one we find. While it's
+    // possible that multiple update operators could
+    // affect the same non-generic key, we'll assume that's not the case.
+    const positions = this._positionsByKey.get(key);
+    if (positions) return positions.values().next().value;
   }
 
   /**
    * @method MongoObject.getPositionsForGenericKey
-   * @param {String} key - Generic key
+   * @param {String|RegExp} key - Generic key or key pattern
    * @returns {String[]} Array of position strings
    *
    * Returns an array of position strings for the places in the object that
    * affect the requested generic key.
    * Example: ['foo[bar][0]']
+   *
+   * The key may be a glob pattern, in which `*` matches any one piece of a
+   * generic key, or any part of one, and `**` matches any number of pieces,
+   * such as 'profile.*', '**.password' or 'items.$.*'. It may also be a
+   * RegExp, which is tested against whole generic keys.
    */
   getPositionsForGenericKey(key) {
-    const list = [];
+    if (!isGenericKeyPattern(key)) return Array.from(this._positionsByGenericKey.get(key) || []);
 
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      if (this._genericAffectedKeys[position] === key) list.push(position);
-    }
-
-    return list;
+    const matches = genericKeyMatcher([key]);
+    const positions = [];
+    this._positionsByGenericKey.forEach((keyPositions, genericKey) => {
+      if (matches(genericKey)) positions.push(...keyPositions);
+    });
+    return positions;
   }
 
   /**
@@ -368,32 +829,67 @@ export default class MongoObject {
    * Example: ['foo[bar][0]']
    */
   getPositionsInfoForGenericKey(genericKey) {
-    const exactPositions = [];
-    const arrayItemPositions = [];
-
-    for (const position in this._genericAffectedKeys) {
-      if (this._genericAffectedKeys.hasOwnProperty(position)) {
-        const affectedKey = this._genericAffectedKeys[position];
-        if (affectedKey === genericKey) {
-          exactPositions.push(position);
-        } else if (affectedKey === `${genericKey}.$`) {
-          arrayItemPositions.push(position);
-        }
-      }
-    }
+    // Pipeline positions begin with the stage index, which isn't part of the key
+    const toInfo = (position) => ({
+      position,
+      key: this._isPipeline ? this._affectedKeys[position] : MongoObject._positionToKey(position),
+    });
+    const exactPositions = this.getPositionsForGenericKey(genericKey).map(toInfo);
+    const arrayItemPositions = this.getPositionsForGenericKey(`${genericKey}.$`).map(toInfo);
+
+    // $rename also affects its target key
+    _.each(this._renameTargets, (targetKey, position) => {
+      if (MongoObject.makeKeyGeneric(targetKey) === genericKey) exactPositions.push({ position, key: targetKey });
+    });
 
     const list = exactPositions.length ? exactPositions : arrayItemPositions;
 
-    return list.map((position) => {
+    return list.map(({ position, key }) => {
       const value = this.getValueForPosition(position);
-      const key = MongoObject._positionToKey(position);
-      const operator = extractOp(position);
-      return {
+      const operator = extractOp(position, this._isPipeline);
+      return _.assign({
         key,
         value,
         operator,
         position,
-      };
+        positionalOperators: this._positionalOperators[position] || [],
+      }, this._getOperatorInfoForPosition(position, key));
+    });
+  }
+
+  /**
+   * @method MongoObject.prototype._getOperatorInfoForPosition
+   * @private
+   * @param {String} position
+   * @param {String} key - The key affected at this position that the info is for
+   * @returns {Object}
+   *
+   * Returns the operator info for a position, as from `MongoObject.getOperatorInfo`,
+   * plus the `sourceKey` and `targetKey` of a $rename. For an update pipeline,
+   * returns the info of the stage, plus the `stage` index and the keys that
+   * the value `reads`.
+   */
+  _getOperatorInfoForPosition(position, key) {
+    const operator = extractOp(position, this._isPipeline);
+    if (this._isPipeline) {
+      const info = _.clone(PIPELINE_STAGE_INFO[operator] || { access: null, valueType: null });
+      const value = this.getValueForPosition(position);
+      if (operator === '$project' && (value === 0 || value === false)) info.access = 'remove';
+
+      return _.assign(info, {
+        stage: Number(parsePosition(position)[0]),
+        reads: this._readKeys[position] || [],
+      });
+    }
+
+    const info = MongoObject.getOperatorInfo(operator);
+    const targetKey = this._renameTargets[position];
+    if (targetKey === undefined) return info;
+
+    return _.assign(info, {
+      access: key === targetKey ? 'write' : info.access,
+      sourceKey: this._affectedKeys[position],
+      targetKey,
     });
   }
 
@@ -420,8 +916,8 @@ export default class MongoObject {
    * Adds `key` with value `val` under operator `op` to the source object.
    */
   addKey(key, val, op) {
-    const position = op ? `${op}[${key}]` : MongoObject._keyToPosition(key);
-    this.setValueForPosition(position, val);
+    const position = op ? formatPosition([op, key]) : MongoObject._keyToPosition(key);
+    this._recordOperation('addKey', () => this.setValueForPosition(position, val));
   }
 
   /**
@@ -429,14 +925,15 @@ export default class MongoObject {
    * @param {String[]} keys
    * @returns {undefined}
    *
-   * Removes anything that affects any of the generic keys in the list
+   * Removes anything that affects any of the generic keys in the list,
+   * which may include key patterns as for `getPositionsForGenericKey`
    */
   removeGenericKeys(keys) {
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      if (keys.indexOf(this._genericAffectedKeys[position]) > -1) {
-        this.removeValueForPosition(position);
+    this._recordOperation('removeGenericKeys', () => {
+      for (const key of keys) {
+        this.removeGenericKey(key);
       }
-    }
+    });
   }
 
   /**
@@ -447,11 +944,11 @@ export default class MongoObject {
    * Removes anything that affects the requested generic key
    */
   removeGenericKey(key) {
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      if (this._genericAffectedKeys[position] === key) {
+    this._recordOperation('removeGenericKey', () => {
+      for (const position of this.getPositionsForGenericKey(key)) {
         this.removeValueForPosition(position);
       }
-    }
+    });
   }
 
   /**
@@ -462,13 +959,13 @@ export default class MongoObject {
    * Removes anything that affects the requested non-generic key
    */
   removeKey(key) {
-    // We don't use getPositionForKey here because we want to be sure to
-    // remove for all positions if there are multiple.
-    for (const position of Object.getOwnPropertyNames(this._affectedKeys)) {
-      if (this._affectedKeys[position] === key) {
+    this._recordOperation('removeKey', () => {
+      // We don't use getPositionForKey here because we want to be sure to
+      // remove for all positions if there are multiple.
+      for (const position of Array.from(this._positionsByKey.get(key) || [])) {
         this.removeValueForPosition(position);
       }
-    }
+    });
   }
 
   /**
@@ -479,9 +976,11 @@ export default class MongoObject {
    * Removes anything that affects any of the non-generic keys in the list
    */
   removeKeys(keys) {
-    for (const key of keys) {
-      this.removeKey(key);
-    }
+    this._recordOperation('removeKeys', () => {
+      for (const key of keys) {
+        this.removeKey(key);
+      }
+    });
   }
 
   /**
@@ -493,23 +992,37 @@ export default class MongoObject {
    * should return false to remove whatever is affecting that key
    */
   filterGenericKeys(test) {
-    const checkedKeys = [];
     const keysToRemove = [];
-    for (const position in this._genericAffectedKeys) {
-      if (this._genericAffectedKeys.hasOwnProperty(position)) {
-        const genericKey = this._genericAffectedKeys[position];
-        if (checkedKeys.indexOf(genericKey) === -1) {
-          checkedKeys.push(genericKey);
-          if (genericKey && !test(genericKey)) {
-            keysToRemove.push(genericKey);
-          }
-        }
+    for (const genericKey of this._positionsByGenericKey.keys()) {
+      if (genericKey && !test(genericKey)) {
+        keysToRemove.push(genericKey);
       }
     }
 
-    for (const key of keysToRemove) {
-      this.removeGenericKey(key);
-    }
+    this._recordOperation('filterGenericKeys', () => {
+      for (const key of keysToRemove) {
+        this.removeGenericKey(key);
+      }
+    });
+  }
+
+  /**
+   * @method MongoObject.prototype._removeEmptyStages
+   * @private
+   * @returns {undefined}
+   *
+   * Removes the stages of an update pipeline that have nothing left in them,
+   * such as `{ $unset: [] }` once all of its keys have been removed. Like
+   * other array items, they are pulled out by `removeArrayItems`.
+   */
+  _removeEmptyStages() {
+    const isEmpty = (arg) => (Array.isArray(arg) ?
+      _.without(arg, REMOVED_MARKER).length === 0 :
+      MongoObject.isBasicObject(arg) && _.isEmpty(arg));
+
+    this._obj.forEach((stage, index) => {
+      if (stage !== REMOVED_MARKER && _.every(stage, isEmpty)) this.setValueForPosition(String(index), undefined);
+    });
   }
 
   /**
@@ -522,13 +1035,13 @@ export default class MongoObject {
    * the requested non-generic key
    */
   setValueForKey(key, val) {
-    // We don't use getPositionForKey here because we want to be sure to
-    // set the value for all positions if there are multiple.
-    for (const position of Object.getOwnPropertyNames(this._affectedKeys)) {
-      if (this._affectedKeys[position] === key) {
+    this._recordOperation('setValueForKey', () => {
+      // We don't use getPositionForKey here because we want to be sure to
+      // set the value for all positions if there are multiple.
+      for (const position of Array.from(this._positionsByKey.get(key) || [])) {
         this.setValueForPosition(position, val);
       }
-    }
+    });
   }
 
   /**
@@ -541,16 +1054,37 @@ export default class MongoObject {
    * the requested generic key
    */
   setValueForGenericKey(key, val) {
-    // We don't use getPositionForKey here because we want to be sure to
-    // set the value for all positions if there are multiple.
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      if (this._genericAffectedKeys[position] === key) {
+    this._recordOperation('setValueForGenericKey', () => {
+      // We don't use getPositionForKey here because we want to be sure to
+      // set the value for all positions if there are multiple.
+      for (const position of this.getPositionsForGenericKey(key)) {
         this.setValueForPosition(position, val);
       }
-    }
+    });
   }
 
   removeArrayItems() {
+    // Within a batch, wait until all queued changes have been applied
+    if (this._batch) {
+      this._batch.removeArrayItems = true;
+      return;
+    }
+
+    this._recordOperation('removeArrayItems', () => this._compactArrays());
+  }
+
+  /**
+   * @method MongoObject.prototype._compactArrays
+   * @private
+   * @returns {undefined}
+   *
+   * Pulls removed items out of all arrays, recording where they were in the
+   * history so that undoing can put them back.
+   */
+  _compactArrays() {
+    const history = this._history && !this._history.paused ? this._history : null;
+    const removedItems = history ? findRemovedItems(this._obj, null) : [];
+
     // Traverse and pull out removed array items at this point
     function traverse(obj) {
       _.each(obj, (val, indexOrProp) => {
@@ -558,7 +1092,7 @@ export default class MongoObject {
         const next = obj[indexOrProp];
 
         // If we can go no further, then quit
-        if (MongoObject.isBasicObject(next)) {
+        if (MongoObject.isTraversableObject(next)) {
           traverse(next);
         } else if (Array.isArray(next)) {
           obj[indexOrProp] = _.without(next, REMOVED_MARKER);
@@ -567,51 +1101,403 @@ export default class MongoObject {
       });
     }
 
-    traverse(this._obj);
+    if (this._immutable) {
+      this._obj = withoutRemovedItems(this._obj);
+    } else {
+      // Stages removed from an update pipeline are pulled out of the root array
+      if (Array.isArray(this._obj)) _.pull(this._obj, REMOVED_MARKER);
+      traverse(this._obj);
+    }
+
+    // Positions of items after removed ones have changed
+    this._reParseObj();
+
+    if (removedItems.length) history.operation.changes.push({ type: 'compact', removedItems });
   }
 
   /**
-   * @method MongoObject.getObject
-   * @returns {Object}
+   * @method MongoObject.prototype.batch
+   * @param {Function} fn - Function that makes changes using this instance
+   * @returns {Any} The return value of `fn`
    *
-   * Get the source object, potentially modified by other method calls on this
-   * MongoObject instance.
+   * Calls `fn` with this MongoObject instance, queueing all changes made
+   * through instance methods until it returns. Reads within `fn` see the object
+   * as it was before the batch. When the outermost batch ends, the queued
+   * changes are applied in the order they were made, with only the last change
+   * for each position kept, and then any removed array items are pulled out.
+   *
+   * Batches may be nested. If `fn` throws, the changes queued within that
+   * batch are discarded and the error is rethrown, so the object is left as
+   * it was before the batch.
    */
-  getObject() {
-    return this._obj;
+  batch(fn) {
+    const isOutermost = !this._batch;
+    if (isOutermost) this._batch = { updates: [], removeArrayItems: false };
+
+    const batch = this._batch;
+    const start = batch.updates.length;
+    const removeArrayItems = batch.removeArrayItems;
+    let result;
+    try {
+      result = fn.call(this, this);
+    } catch (error) {
+      batch.updates.length = start;
+      batch.removeArrayItems = removeArrayItems;
+      if (isOutermost) this._batch = null;
+      throw error;
+    }
+
+    if (isOutermost) {
+      this._batch = null;
+
+      // Keep only the last change for each position
+      const updates = new Map();
+      for (const { position, value } of batch.updates) {
+        updates.delete(position);
+        updates.set(position, value);
+      }
+
+      this._recordOperation('batch', () => {
+        updates.forEach((value, position) => {
+          this.setValueForPosition(position, value);
+        });
+
+        if (this._isPipeline) this._removeEmptyStages();
+        if (batch.removeArrayItems) this.removeArrayItems();
+      });
+    }
+
+    return result;
   }
 
   /**
-   * @method MongoObject.getFlatObject
-   * @returns {Object}
+   * @method MongoObject.prototype.on
+   * @param {String} event - The event name, 'change'
+   * @param {Function} listener
+   * @returns {MongoObject} This instance
    *
-   * Gets a flat object based on the MongoObject instance.
-   * In a flat object, the key is the name of the non-generic affectedKey,
-   * with mongo dot notation if necessary, and the value is the value for
-   * that key.
+   * Calls `listener` whenever a value in the object is set or removed through
+   * this instance, including by `addKey`, `removeValueForPosition` and the
+   * methods that set or remove many keys, which call it once per change.
+   * Changes made within a batch are reported when the batch ends.
    *
-   * With `keepArrays: true`, we don't flatten within arrays. Currently
-   * MongoDB does not see a key such as `a.0.b` and automatically assume
+   * The listener is called after the change, with an object describing it:
+   * `type` is 'set' or 'remove', `position`, `key`, `genericKey` and
+   * `operator` describe where the change was made, and `oldValue` and
+   * `newValue` are the values there before and after. Pulling removed items
+   * out of arrays with `removeArrayItems` moves later items but is not
+   * reported as a change.
+   */
+  on(event, listener) {
+    if (!_.has(this._listeners, event)) throw new Error(`Unknown event ${event}`);
+    if (typeof listener !== 'function') throw new Error('on requires a listener function');
+    this._listeners[event].push(listener);
+    return this;
+  }
+
+  /**
+   * @method MongoObject.prototype.off
+   * @param {String} event - The event name, 'change'
+   * @param {Function} [listener] - The listener to remove, or all of them if omitted
+   * @returns {MongoObject} This instance
+   */
+  off(event, listener) {
+    if (!_.has(this._listeners, event)) throw new Error(`Unknown event ${event}`);
+    this._listeners[event] = listener ? _.without(this._listeners[event], listener) : [];
+    return this;
+  }
+
+  /**
+   * @method MongoObject.prototype._emit
+   * @private
+   * @param {String} event - The event name, such as 'change'
+   * @param {Object} details - Passed to each listener
+   * @returns {undefined}
+   *
+   * Calls the listeners for an event, with this instance as `this`.
+   * Listeners added or removed by a listener take effect on the next event.
+   */
+  _emit(event, details) {
+    for (const listener of this._listeners[event].slice()) {
+      listener.call(this, details);
+    }
+  }
+
+  /**
+   * @method MongoObject.prototype.getHistory
+   * @returns {Object[]} The recorded operations, oldest first
+   *
+   * Returns the operations recorded with the `history` option that haven't
+   * been undone. Each is an object with the name of the method called as its
+   * `operation` and a list of `changes`. A change of `type` 'set' or 'remove'
+   * has the `position` changed and its `oldValue` and `newValue`, while a
+   * change of `type` 'compact' lists the `removedItems` pulled out of arrays,
+   * as `{position, indexes}` objects. The position of the stages of an update
+   * pipeline is null.
+   *
+   * The history is a copy that may be serialized to JSON, as long as the
+   * values in the object may be, and passed to `replay`.
+   */
+  getHistory() {
+    return MongoObject.clone(this._requireHistory().done);
+  }
+
+  /**
+   * @method MongoObject.prototype.undo
+   * @returns {Boolean} False if there was nothing to undo
+   *
+   * Reverts the latest recorded operation that hasn't been undone. Requires
+   * the `history` option.
+   */
+  undo() {
+    const history = this._requireHistory();
+    const operation = history.done.pop();
+    if (!operation) return false;
+
+    this._withoutRecording(() => {
+      for (const change of operation.changes.slice().reverse()) {
+        this._revertChange(change);
+      }
+    });
+    history.undone.push(operation);
+    return true;
+  }
+
+  /**
+   * @method MongoObject.prototype.redo
+   * @returns {Boolean} False if there was nothing to redo
+   *
+   * Makes the latest undone operation again. Recording any other operation
+   * discards the operations that could be redone. Requires the `history`
+   * option.
+   */
+  redo() {
+    const history = this._requireHistory();
+    const operation = history.undone.pop();
+    if (!operation) return false;
+
+    this._withoutRecording(() => {
+      for (const change of operation.changes) {
+        this._applyChange(change);
+      }
+    });
+    history.done.push(operation);
+    return true;
+  }
+
+  /**
+   * @method MongoObject.prototype.replay
+   * @param {Object[]} operations - Operations as returned by `getHistory`
+   * @returns {undefined}
+   *
+   * Makes the changes in a history recorded by another MongoObject, which
+   * must have been created with an object equal to this one's starting
+   * object. With the `history` option, each operation is recorded again.
+   */
+  replay(operations) {
+    for (const { operation, changes } of operations) {
+      this._recordOperation(operation, () => {
+        for (const change of changes) {
+          this._applyChange(change);
+        }
+      });
+    }
+  }
+
+  /**
+   * @method MongoObject.prototype._requireHistory
+   * @private
+   * @returns {Object} The history state
+   *
+   * Throws unless the `history` option is enabled and no batch is running.
+   */
+  _requireHistory() {
+    if (!this._history) throw new Error('The history option must be enabled to use the history');
+    if (this._batch) throw new Error('The history may not be used within a batch');
+    return this._history;
+  }
+
+  /**
+   * @method MongoObject.prototype._recordOperation
+   * @private
+   * @param {String} name - The name of the public method making the changes
+   * @param {Function} fn - Makes the changes
+   * @returns {Any} The return value of `fn`
+   *
+   * Calls `fn`, recording all the changes it makes as one operation, unless
+   * they are part of an operation that is already recording.
+   */
+  _recordOperation(name, fn) {
+    const history = this._history;
+    if (!history || history.operation || history.paused) return fn();
+
+    const operation = { operation: name, changes: [] };
+    history.operation = operation;
+    try {
+      return fn();
+    } finally {
+      history.operation = null;
+      if (operation.changes.length) {
+        history.done.push(operation);
+        history.undone = [];
+      }
+    }
+  }
+
+  /**
+   * @method MongoObject.prototype._withoutRecording
+   * @private
+   * @param {Function} fn - Makes changes that the history should not record
+   * @returns {undefined}
+   */
+  _withoutRecording(fn) {
+    this._history.paused = true;
+    try {
+      fn();
+    } finally {
+      this._history.paused = false;
+    }
+  }
+
+  /**
+   * @method MongoObject.prototype._applyChange
+   * @private
+   * @param {Object} change - A change recorded in the history
+   * @returns {undefined}
+   *
+   * Makes a recorded change again, for redo and replay.
+   */
+  _applyChange(change) {
+    if (change.type === 'compact') {
+      this.removeArrayItems();
+    } else {
+      this.setValueForPosition(change.position, MongoObject.clone(change.newValue));
+    }
+  }
+
+  /**
+   * @method MongoObject.prototype._revertChange
+   * @private
+   * @param {Object} change - A change recorded in the history
+   * @returns {undefined}
+   *
+   * Restores what a recorded change replaced, for undo. Array items pulled out
+   * by `removeArrayItems` are put back as removed items, so that undoing the
+   * change that removed them restores their values.
+   */
+  _revertChange(change) {
+    if (change.type !== 'compact') {
+      this.setValueForPosition(change.position, MongoObject.clone(change.oldValue));
+      return;
+    }
+
+    // Put removed items back where they were, outer arrays first so that the
+    // positions of inner arrays are as they were when they were recorded
+    for (const { position, indexes } of change.removedItems) {
+      const isRoot = position === null;
+      const array = (isRoot ? this._obj : this.getValueForPosition(position)).slice();
+      indexes.forEach((index) => {
+        array.splice(index, 0, REMOVED_MARKER);
+      });
+
+      if (!isRoot) {
+        this._writeValueForPosition(parsePosition(position), array);
+      } else if (this._immutable) {
+        this._obj = array;
+      } else {
+        this._obj.splice(0, this._obj.length, ...array);
+      }
+    }
+
+    // Restoring stages of an update pipeline moves every position after them
+    if (change.removedItems.length && change.removedItems[0].position === null) this._reParseObj();
+  }
+
+  /**
+   * @method MongoObject.getObject
+   * @returns {Object}
+   *
+   * Get the source object, potentially modified by other method calls on this
+   * MongoObject instance.
+   */
+  getObject() {
+    return this._obj;
+  }
+
+  /**
+   * @method MongoObject.getFlatObject
+   * @returns {Object}
+   *
+   * Gets a flat object based on the MongoObject instance.
+   * In a flat object, the key is the name of the non-generic affectedKey,
+   * with mongo dot notation if necessary, and the value is the value for
+   * that key.
+   *
+   * With `keepArrays: true`, we don't flatten within arrays. Currently
+   * MongoDB does not see a key such as `a.0.b` and automatically assume
    * an array. Instead it would create an object with key '0' if there
    * wasn't already an array saved as the value of `a`, which is rarely
    * if ever what we actually want. To avoid this confusion, we
    * set entire arrays.
+   *
+   * With `escapeKeys: true`, or a scheme as for `MongoObject.escapeKeys`, the
+   * keys of objects in the document are escaped, both in the flat keys and
+   * within the values. The field paths under update operators are left as
+   * they are. A top-level key that starts with '$' has already been parsed
+   * as an operator, so escape documents with such keys before constructing
+   * the MongoObject.
    */
   getFlatObject({
     keepArrays: keepArrays = false,
+    escapeKeys: escapeKeys = false,
   } = {}) {
+    const scheme = escapeKeys ? resolveKeyEscapeScheme(escapeKeys === true ? 'percent' : escapeKeys) : null;
     const newObj = {};
     _.each(this._affectedKeys, (affectedKey, position) => {
+      // A $rename value is the name of another key rather than a value for this key
+      if (this._renameTargets[position] !== undefined) return;
+
+      // Neither are the keys listed in a pipeline $unset stage
+      if (this._isPipeline && extractOp(position, true) === '$unset') return;
+
       if (typeof affectedKey === 'string' &&
-        (keepArrays === true && this._positionsInsideArrays.indexOf(position) === -1 && this._objectPositions.indexOf(position) === -1) ||
-        (keepArrays !== true && this._parentPositions.indexOf(position) === -1)
+        (keepArrays === true && !this._positionsInsideArrays.has(position) && !this._objectPositions.has(position)) ||
+        (keepArrays !== true && !this._parentPositions.has(position))
         ) {
-        newObj[affectedKey] = this.getValueForPosition(position);
+        const value = this.getValueForPosition(position);
+        if (scheme) {
+          newObj[escapedKeyForPosition(this, position, scheme)] = MongoObject.escapeKeys(value, { scheme });
+        } else {
+          newObj[affectedKey] = value;
+        }
       }
     });
     return newObj;
   }
 
+  /**
+   * @method MongoObject.isPipeline
+   * @returns {Boolean}
+   *
+   * Returns true if the object is an update pipeline, an array of stages such
+   * as `{ $set: { ... } }`. Stages may be $set, $addFields, $unset, $project,
+   * $replaceRoot and $replaceWith.
+   */
+  isPipeline() {
+    return this._isPipeline;
+  }
+
+  /**
+   * @method MongoObject.getReadKeys
+   * @returns {String[]}
+   *
+   * Returns the keys that field paths in the aggregation expressions of an
+   * update pipeline read, such as 'other.field' for '$other.field'.
+   */
+  getReadKeys() {
+    return _.uniq(_.flatten(_.values(this._readKeys)));
+  }
+
   /**
    * @method MongoObject.affectsKey
    * @param {String} key
@@ -620,22 +1506,50 @@ export default class MongoObject {
    * Returns true if the non-generic key is affected by this object
    */
   affectsKey(key) {
-    return !!this.getPositionForKey(key);
+    return !!this.getPositionForKey(key) || _.includes(this._renameTargets, key);
   }
 
   /**
    * @method MongoObject.affectsGenericKey
-   * @param {String} key
+   * @param {String|RegExp} key - Generic key or key pattern
+   * @param {Object} [options]
+   * @param {Boolean} [options.exact] - Pass `true` to match the pieces of keys as they are written
    * @returns {Object}
    *
-   * Returns true if the generic key is affected by this object
+   * Returns true if the generic key is affected by this object. With a key
+   * pattern, as for `getPositionsForGenericKey`, returns true if any
+   * matching generic key is affected.
+   *
+   * Array indexes and all positional operators are '$' in generic keys, so
+   * by default this is true for 'items.$.qty' whether the object sets
+   * 'items.0.qty', 'items.$.qty' or 'items.$[].qty'. With `exact: true`, the
+   * key or pattern is matched against the keys as they are written, so
+   * 'items.$.qty' is affected only by a positional `$` update and
+   * 'items.0.qty' only by an update to that array index.
    */
-  affectsGenericKey(key) {
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      if (this._genericAffectedKeys[position] === key) return true;
+  affectsGenericKey(key, {
+    exact: exact = false,
+  } = {}) {
+    if (exact) {
+      const matches = genericKeyMatcher([key]);
+      for (const affectedKey of this._positionsByKey.keys()) {
+        if (typeof affectedKey === 'string' && matches(affectedKey)) return true;
+      }
+
+      return _.some(this._renameTargets, matches);
     }
 
-    return false;
+    if (!isGenericKeyPattern(key)) {
+      if (this._positionsByGenericKey.has(key)) return true;
+      return _.some(this._renameTargets, (targetKey) => MongoObject.makeKeyGeneric(targetKey) === key);
+    }
+
+    const matches = genericKeyMatcher([key]);
+    for (const genericKey of this._positionsByGenericKey.keys()) {
+      if (matches(genericKey)) return true;
+    }
+
+    return _.some(this._renameTargets, (targetKey) => matches(MongoObject.makeKeyGeneric(targetKey)));
   }
 
   /**
@@ -646,11 +1560,14 @@ export default class MongoObject {
    * Like affectsGenericKey, but will return true if a child key is affected
    */
   affectsGenericKeyImplicit(key) {
-    for (const position of Object.getOwnPropertyNames(this._genericAffectedKeys)) {
-      const affectedKey = this._genericAffectedKeys[position];
+    for (const affectedKey of this._positionsByGenericKey.keys()) {
       if (genericKeyAffectsOtherGenericKey(key, affectedKey)) return true;
     }
 
+    for (const targetKey of _.values(this._renameTargets)) {
+      if (genericKeyAffectsOtherGenericKey(key, MongoObject.makeKeyGeneric(targetKey))) return true;
+    }
+
     return false;
   }
 
@@ -658,14 +1575,84 @@ export default class MongoObject {
 
   /* Takes a specific string that uses mongo-style dot notation
    * and returns a generic string equivalent. Replaces all numeric
-   * "pieces" with a dollar sign ($).
+   * "pieces" and all `$[]` and `$[identifier]` positional operators
+   * with a dollar sign ($).
+   *
+   * A generic key can't tell an array index from a positional operator, so
+   * 'items.0.qty', 'items.$.qty', 'items.$[].qty' and 'items.$[elem].qty'
+   * are all 'items.$.qty'. To find a particular form, use the `exact` option
+   * of `affectsGenericKey`, the non-generic methods such as `affectsKey`, or
+   * the `positionalOperators` of the nodes.
    *
    * @param {type} name
    * @returns {String} Generic name.
    */
   static makeKeyGeneric(key) {
     if (typeof key !== 'string') return null;
-    return key.replace(/\.[0-9]+(?=\.|$)/g, '.$');
+    return key.replace(/\.([0-9]+|\$\[[^\]]*\])(?=\.|$)/g, '.$');
+  }
+
+  /**
+   * @method MongoObject.getOperatorInfo
+   * @param {String|null} operator - An update operator, or null for a plain object
+   * @returns {Object} {access, valueType}
+   *
+   * Describes how an update operator treats the keys and values under it.
+   * `access` is 'write' when the current value is replaced without being
+   * read, 'readWrite' when the new value depends on the current one, or
+   * 'remove' when the key is removed. `valueType` is 'literal' for values
+   * that are stored or compared as they are ($set, $push), 'delta' for
+   * amounts to change the current value by ($inc, $mul), 'condition' for
+   * $pull queries, or 'instruction' for anything else ($currentDate, $bit,
+   * $rename, $unset, $pop). Both are null for unknown operators.
+   */
+  static getOperatorInfo(operator) {
+    if (!operator) return { access: 'write', valueType: 'literal' };
+    return _.clone(OPERATOR_INFO[operator] || { access: null, valueType: null });
+  }
+
+  /**
+   * @method MongoObject.getPositionalOperators
+   * @param {String} key - Non-generic key
+   * @returns {Object[]} Info about each positional operator in the key
+   *
+   * Returns an object for each positional operator in a key, in order, with
+   * the `operator` as written, its `type` ('positional' for `$`,
+   * 'allPositional' for `$[]` or 'filteredPositional' for `$[identifier]`),
+   * the `identifier` of a filtered positional operator, and the `index` of
+   * the piece of the key where it was found.
+   * Example: 'a.$[x].b' -> [{operator: '$[x]', type: 'filteredPositional', identifier: 'x', index: 1}]
+   */
+  static getPositionalOperators(key) {
+    if (typeof key !== 'string') return [];
+    const operators = [];
+    key.split('.').forEach((piece, index) => {
+      const positionalOperator = parsePositionalPiece(piece);
+      if (positionalOperator) operators.push(_.assign(positionalOperator, { index }));
+    });
+    return operators;
+  }
+
+  /**
+   * @method MongoObject.resolvePositionalKey
+   * @public
+   * @param {String} key - Non-generic key, which may contain positional operators
+   * @param {Object} doc - The document to resolve the key against
+   * @param {Object} [options]
+   * @param {Object[]} [options.arrayFilters] - Array filters for `$[identifier]` operators, as passed to MongoDB
+   * @param {Object} [options.selector] - The query selector, which `$` operators refer to
+   * @returns {String[]} The keys without positional operators that `key` refers to in `doc`
+   *
+   * Throws if the key can't be resolved, because a positional operator
+   * doesn't refer to an array, a `$` has no matching selector condition,
+   * or there is no array filter for an identifier.
+   * Example: 'a.$[].b' with {a: [{b: 1}, {b: 2}]} -> ['a.0.b', 'a.1.b']
+   */
+  static resolvePositionalKey(key, doc, {
+    arrayFilters: arrayFilters = [],
+    selector: selector,
+  } = {}) {
+    return resolvePositionalKey(doc || {}, key, arrayFilters, selector);
   }
 
   /** Takes a string representation of an object key and its value
@@ -683,13 +1670,10 @@ export default class MongoObject {
    * @returns {undefined}
    */
   static expandKey(val, key, obj) {
-    const subkeys = key.split('[');
+    const subkeys = parsePosition(key);
     let current = obj;
     for (let i = 0, ln = subkeys.length; i < ln; i++) {
-      let subkey = subkeys[i];
-      if (subkey.slice(-1) === ']') {
-        subkey = subkey.slice(0, -1);
-      }
+      const subkey = subkeys[i];
 
       if (i === ln - 1) {
         // Last iteration; time to set the value; always overwrite
@@ -711,15 +1695,40 @@ export default class MongoObject {
   }
 
   static _keyToPosition(key, wrapAll) {
-    let position = '';
-    _.each(key.split('.'), (piece, i) => {
-      if (i === 0 && !wrapAll) {
-        position += piece;
-      } else {
-        position += `[${piece}]`;
-      }
-    });
-    return position;
+    const segments = key.split('.');
+    return formatPosition(wrapAll ? [''].concat(segments) : segments);
+  }
+
+  /**
+   * @method MongoObject.parsePosition
+   * @public
+   * @param {String} position - A position string, such as 'foo[bar][0]'
+   * @param {Boolean} [traverseObject=false] - Also split on '.', as in 'foo.bar[0]'
+   * @returns {String[]} The segments of the position, such as ['foo', 'bar', '0']
+   *
+   * A position is a first segment followed by any number of segments in
+   * square brackets. A backslash escapes the character after it, so
+   * `\[`, `\]`, `\\` and, with `traverseObject`, `\.` stand for those
+   * characters within a segment. Unescaped brackets within a bracketed
+   * segment are part of the segment as long as they are balanced, as in
+   * '$set[items.$[elem].qty]'.
+   */
+  static parsePosition(position, traverseObject = false) {
+    return parsePosition(position, traverseObject);
+  }
+
+  /**
+   * @method MongoObject.formatPosition
+   * @public
+   * @param {String[]} segments - Segments such as ['foo', 'bar', '0']
+   * @returns {String} The position string, such as 'foo[bar][0]'
+   *
+   * The inverse of `MongoObject.parsePosition`. Characters in the segments are
+   * escaped as needed, so any segments, including object keys that contain
+   * brackets or backslashes, round-trip.
+   */
+  static formatPosition(segments) {
+    return formatPosition(segments);
   }
 
   /**
@@ -736,7 +1745,7 @@ export default class MongoObject {
     // foolproof for now.
     const mDoc = new MongoObject({});
     mDoc.setValueForPosition(position, 1); // Value doesn't matter
-    return mDoc.getKeyForPosition(position);
+    return mDoc.getKeyForPosition(formatPosition(parsePosition(position)));
   }
 
   /**
@@ -746,24 +1755,18 @@ export default class MongoObject {
    * @returns {Object}
    *
    * Returns an object in which all properties with null, undefined, or empty
-   * string values have been removed, recursively.
+   * string values have been removed, recursively. Objects of traversable
+   * registered types are cleaned like plain objects, keeping their type, and
+   * values of other registered types are removed if their type says they
+   * are empty.
+   *
+   * Throws a `MongoObject.ObjectStructureError` if `doc` is nested more than
+   * `options.maxDepth` levels deep, or contains itself.
    */
-  static cleanNulls(doc, isArray, keepEmptyStrings) {
-    const newDoc = isArray ? [] : {};
-    _.each(doc, (val, key) => {
-      if (!Array.isArray(val) && MongoObject.isBasicObject(val)) {
-        val = MongoObject.cleanNulls(val, false, keepEmptyStrings); // Recurse into plain objects
-        if (!_.isEmpty(val)) newDoc[key] = val;
-      } else if (Array.isArray(val)) {
-        val = MongoObject.cleanNulls(val, true, keepEmptyStrings); // Recurse into non-typed arrays
-        if (!_.isEmpty(val)) newDoc[key] = val;
-      } else if (!isNullUndefinedOrEmptyString(val)) {
-        newDoc[key] = val;
-      } else if (keepEmptyStrings && typeof val === 'string' && val.length === 0) {
-        newDoc[key] = val;
-      }
-    });
-    return newDoc;
+  static cleanNulls(doc, isArray, keepEmptyStrings, {
+    maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+  } = {}) {
+    return cleanNullsWithin(doc, isArray, keepEmptyStrings, { pieces: [], ancestors: [], maxDepth });
   }
 
   /**
@@ -784,6 +1787,9 @@ export default class MongoObject {
         val === undefined ||
         (!keepEmptyStrings && typeof val === 'string' && val.length === 0) ||
 
+        // If value is of a registered type that counts it as empty
+        (MongoObject.getTypeForValue(val) && isEmptyValue(val)) ||
+
         // If value is an array in which all the values recursively are undefined, null,
         // or an empty string
         (Array.isArray(val) && MongoObject.cleanNulls(val, true, keepEmptyStrings).length === 0)
@@ -801,23 +1807,48 @@ export default class MongoObject {
    * @param {Object} [options] - Options
    * @param {Boolean} [options.keepEmptyStrings] - Pass `true` to keep empty strings in the $set. Otherwise $unset them.
    * @param {Boolean} [options.keepArrays] - Pass `true` to $set entire arrays. Otherwise the modifier will $set individual array items.
+   * @param {Array<String|RegExp>} [options.blackboxKeys] - Generic keys or key patterns of objects to $set whole, as for the constructor
+   * @param {Function} [options.blackboxPredicate] - Returns true for objects and arrays to $set whole, as for the constructor
+   * @param {Array<String|Function>} [options.blackboxTypes] - Types whose values are $set whole, as for the constructor
+   * @param {Boolean|String|Object} [options.escapeKeys] - Pass `true`, or a scheme as for `MongoObject.escapeKeys`, to escape the keys of `doc` first
    * @returns {Object} A MongoDB modifier.
    *
    * Converts an object into a modifier by flattening it, putting keys with
    * null, undefined, and empty string values into `modifier.$unset`, and
-   * putting the rest of the keys into `modifier.$set`.
+   * putting the rest of the keys into `modifier.$set`. Blackboxed values are
+   * set as they are, without flattening or removing nulls within them.
+   *
+   * With `escapeKeys`, keys that contain '.' or start with '$' are escaped
+   * before the document is flattened, so they become single fields rather
+   * than paths or operators. Blackbox keys are matched against the escaped
+   * keys.
    */
   static docToModifier(doc, {
     keepArrays: keepArrays = false,
     keepEmptyStrings: keepEmptyStrings = false,
+    blackboxKeys: blackboxKeys = [],
+    blackboxPredicate: blackboxPredicate = null,
+    blackboxTypes: blackboxTypes = [],
+    escapeKeys: escapeKeys = false,
   } = {}) {
+    if (escapeKeys) doc = MongoObject.escapeKeys(doc, { scheme: escapeKeys === true ? 'percent' : escapeKeys });
+
     // Flatten doc
-    const mDoc = new MongoObject(doc);
+    const mDoc = new MongoObject(doc, { blackboxKeys, blackboxPredicate, blackboxTypes });
     let flatDoc = mDoc.getFlatObject({ keepArrays });
 
+    // Set blackboxed values as they are
+    const blackboxValues = {};
+    mDoc._blackboxPositions.forEach((position) => {
+      const key = mDoc._affectedKeys[position];
+      if (!_.has(flatDoc, key)) return;
+      blackboxValues[key] = flatDoc[key];
+      delete flatDoc[key];
+    });
+
     // Get a list of null, undefined, and empty string values so we can unset them instead
     const nulls = MongoObject.reportNulls(flatDoc, keepEmptyStrings);
-    flatDoc = MongoObject.cleanNulls(flatDoc, false, keepEmptyStrings);
+    flatDoc = _.assign(MongoObject.cleanNulls(flatDoc, false, keepEmptyStrings), blackboxValues);
 
     const modifier = {};
     if (!_.isEmpty(flatDoc)) modifier.$set = flatDoc;
@@ -825,56 +1856,504 @@ export default class MongoObject {
     return modifier;
   }
 
-  /* Tests whether "obj" is an Object as opposed to
-   * something that inherits from Object
+  /**
+   * @method MongoObject.diffToModifier
+   * @public
+   * @param {Object} oldDoc - The document as it is currently stored
+   * @param {Object} newDoc - The document as it should be after the update
+   * @param {Object} [options] - Options
+   * @param {Boolean} [options.keepEmptyStrings] - Pass `true` to keep empty strings in the $set. Otherwise $unset them.
+   * @param {Boolean} [options.keepArrays] - Pass `true` to $set entire arrays. Otherwise the modifier will $set individual array items.
+   * @param {Boolean} [options.pushAppends] - Pass `true` to $push items that were only appended to an array instead of setting them.
+   * @returns {Object} A MongoDB modifier.
    *
-   * @param {any} obj
-   * @returns {Boolean}
+   * Like `docToModifier`, but only includes the keys whose values differ
+   * between the two documents. Keys that have been removed or given null,
+   * undefined, or empty string values are put into `modifier.$unset`. Where
+   * a value changes type, or an array gets shorter, the whole value is set.
    */
-  static isBasicObject(obj) {
-    return obj === Object(obj) && Object.getPrototypeOf(obj) === Object.prototype;
+  static diffToModifier(oldDoc, newDoc, {
+    keepArrays: keepArrays = false,
+    keepEmptyStrings: keepEmptyStrings = false,
+    pushAppends: pushAppends = false,
+  } = {}) {
+    const $set = {};
+    const $unset = {};
+    const $push = {};
+
+    function cleanValue(val) {
+      if (Array.isArray(val)) return MongoObject.cleanNulls(val, true, keepEmptyStrings);
+      if (MongoObject.isBasicObject(val)) return MongoObject.cleanNulls(val, false, keepEmptyStrings);
+      return val;
+    }
+
+    function isUnsetValue(val) {
+      return isNullUndefinedOrEmptyString(val) && !(keepEmptyStrings && val === '');
+    }
+
+    function diffObjects(key, oldObj, newObj) {
+      const childKeys = _.union(Object.keys(newObj), Object.keys(oldObj));
+      for (const childKey of childKeys) {
+        diff(appendAffectedKey(key, childKey), oldObj[childKey], newObj[childKey]);
+      }
+    }
+
+    function diff(key, oldVal, newVal) {
+      if (isUnsetValue(newVal)) {
+        if (!isUnsetValue(oldVal)) $unset[key] = '';
+      } else if (MongoObject.isBasicObject(newVal) && (MongoObject.isBasicObject(oldVal) || oldVal === undefined)) {
+        if (_.isEmpty(newVal) && oldVal === undefined) {
+          $set[key] = {};
+        } else {
+          diffObjects(key, oldVal || {}, newVal);
+        }
+      } else if (Array.isArray(newVal) && Array.isArray(oldVal)) {
+        if (MongoObject.isEqual(oldVal, newVal)) return;
+
+        if (pushAppends && newVal.length > oldVal.length && MongoObject.isEqual(newVal.slice(0, oldVal.length), oldVal)) {
+          $push[key] = { $each: cleanValue(newVal.slice(oldVal.length)) };
+        } else if (keepArrays || newVal.length < oldVal.length) {
+          $set[key] = cleanValue(newVal);
+        } else {
+          newVal.forEach((item, i) => diff(`${key}.${i}`, oldVal[i], item));
+        }
+      } else if (!MongoObject.isEqual(oldVal, newVal)) {
+        $set[key] = cleanValue(newVal);
+      }
+    }
+
+    diffObjects(null, oldDoc || {}, newDoc || {});
+
+    const modifier = {};
+    if (!_.isEmpty($set)) modifier.$set = $set;
+    if (!_.isEmpty($unset)) modifier.$unset = $unset;
+    if (!_.isEmpty($push)) modifier.$push = $push;
+    return modifier;
   }
 
   /**
-   * @method MongoObject.objAffectsKey
+   * @method MongoObject.mergeModifiers
    * @public
-   * @param  {Object} obj
-   * @param  {String} key
-   * @return {Boolean}
+   * @param {Object} modifier - The modifier that would be applied first
+   * @param {Object} nextModifier - The modifier that would be applied second
+   * @returns {Object} A single MongoDB modifier
+   *
+   * Returns one modifier with the same effect as applying `modifier` and then
+   * `nextModifier`. For example, two $inc of the same key are summed, a $set
+   * after an $inc wins, $push lists are concatenated and changes below a key
+   * that is $set are folded into the value being set. When the two changes
+   * to a key can't be expressed by a single modifier, throws an error with
+   * a `keys` property listing the keys involved.
    */
-  static objAffectsKey(obj, key) {
-    const mDoc = new MongoObject(obj);
-    return mDoc.affectsKey(key);
+  static mergeModifiers(modifier, nextModifier) {
+    if (!isModifier(nextModifier)) return MongoObject.clone(nextModifier);
+    if (!isModifier(modifier)) return MongoObject.applyModifier(modifier, nextModifier);
+
+    let entries = modifierEntries(modifier);
+    for (const next of modifierEntries(nextModifier)) {
+      let merged = false;
+      const remaining = [];
+      for (const previous of entries) {
+        if (!entriesOverlap(previous, next)) {
+          remaining.push(previous);
+        } else if (previous.operator === '$rename' || next.operator === '$rename') {
+          throw mergeConflictError(previous, next);
+        } else if (previous.key === next.key) {
+          remaining.push(mergeSameKeyEntries(previous, next));
+          merged = true;
+        } else if (previous.key.length < next.key.length) {
+          // `next` changes something within `previous`
+          remaining.push(mergeDescendantEntry(previous, next));
+          merged = true;
+        } else if (next.operator !== '$set' && next.operator !== '$unset') {
+          // `next` changes an ancestor of `previous`, which it only overrides if it replaces it
+          throw mergeConflictError(previous, next);
+        }
+      }
+
+      if (!merged) remaining.push(next);
+      entries = remaining;
+    }
+
+    return entriesToModifier(entries);
   }
 
   /**
-   * @method MongoObject.expandObj
+   * @method MongoObject.invertModifier
    * @public
-   * @param  {Object} doc
-   * @return {Object}
+   * @param {Object} doc - The document before the update
+   * @param {Object} modifier - The modifier that updates it
+   * @returns {Object} A MongoDB modifier that undoes the update
    *
-   * Takes a flat object and returns an expanded version of it.
+   * Returns a modifier that restores `doc` after `modifier` has been applied
+   * to it. Keys that didn't exist are $unset and other keys are $set to their
+   * original values, except that an $inc is undone by a negative $inc, a
+   * plain $push by trimming the array with $slice, and a $rename by renaming
+   * back when nothing was overwritten and no ancestors were created. An array
+   * that the update makes longer is $set whole. A replacement document is
+   * inverted by replacing with the original document.
+   *
+   * Keys with positional operators are resolved against `doc` using the
+   * `arrayFilters` and `selector` options, as in `resolvePositionalKey`.
    */
-  static expandObj(doc) {
-    const newDoc = {};
-    _.each(doc, (val, key) => {
-      const subkeys = key.split('.');
-      const subkeylen = subkeys.length;
-      let current = newDoc;
-      for (let i = 0; i < subkeylen; i++) {
-        const subkey = subkeys[i];
-        if (typeof current[subkey] !== 'undefined' && !_.isObject(current[subkey])) {
-          break; // Already set for some reason; leave it alone
+  static invertModifier(doc, modifier, {
+    arrayFilters: arrayFilters = [],
+    selector: selector,
+  } = {}) {
+    if (!isModifier(modifier)) return MongoObject.clone(doc);
+
+    const mDoc = new MongoObject(MongoObject.clone(doc || {}));
+    let entries = [];
+
+    function addEntry(operator, key, value) {
+      const entry = { operator, key, value };
+      for (const existing of entries) {
+        // Restoring an ancestor also restores everything within it
+        if (entriesOverlap(existing, entry) && existing.key.length <= key.length) return;
+      }
+
+      entries = entries.filter((existing) => !entriesOverlap(existing, entry));
+      entries.push(entry);
+    }
+
+    // Restores the original value of `key`, or of the first ancestor that was
+    // missing. An array that the update lengthens is restored whole, because
+    // unsetting the new item would leave null in its place.
+    function restore(key) {
+      const pieces = key.split('.');
+      for (let i = 1; i <= pieces.length; i++) {
+        const ancestorKey = pieces.slice(0, i).join('.');
+        const value = getValueForKey(mDoc, ancestorKey);
+        if (value === undefined) {
+          addEntry('$unset', ancestorKey, '');
+          return;
         }
 
-        if (i === subkeylen - 1) {
-          // Last iteration; time to set the value
-          current[subkey] = val;
+        const isLengthened = Array.isArray(value) && i < pieces.length && isArrayIndex(pieces[i]) && Number(pieces[i]) >= value.length;
+        if (i === pieces.length || isLengthened || (!Array.isArray(value) && !MongoObject.isTraversableObject(value))) {
+          addEntry('$set', ancestorKey, MongoObject.clone(value));
+          return;
+        }
+      }
+    }
+
+    // True if all the ancestors of `key` exist, so that nothing is left behind
+    // when it is renamed back
+    function hasAncestors(key) {
+      const pieces = key.split('.');
+      return pieces.slice(0, -1).every((piece, i) => getValueForKey(mDoc, pieces.slice(0, i + 1).join('.')) !== undefined);
+    }
+
+    function invert(operator, key, arg) {
+      const original = getValueForKey(mDoc, key);
+      switch (operator) {
+        case '$setOnInsert':
+          break;
+        case '$inc':
+          if (typeof original === 'number' && original + arg - arg === original) {
+            addEntry('$inc', key, -arg);
+          } else {
+            restore(key);
+          }
+
+          break;
+        case '$push': {
+          const options = pushOptions(arg);
+          if (Array.isArray(original) && !_.some(PUSH_MODIFIERS, (option) => option in options)) {
+            addEntry('$push', key, { $each: [], $slice: original.length });
+          } else {
+            restore(key);
+          }
+
+          break;
+        }
+
+        case '$rename':
+          if (original === undefined) break;
+          if (getValueForKey(mDoc, arg) === undefined && hasAncestors(arg)) {
+            addEntry('$rename', arg, key);
+          } else {
+            restore(key);
+            restore(arg);
+          }
+
+          break;
+        default:
+          restore(key);
+      }
+    }
+
+    _.each(modifier, (fields, operator) => {
+      _.each(fields, (arg, positionalKey) => {
+        for (const key of resolvePositionalKey(doc || {}, positionalKey, arrayFilters, selector)) {
+          invert(operator, key, arg);
+        }
+      });
+    });
+
+    return entriesToModifier(entries);
+  }
+
+  /**
+   * @method MongoObject.modifierToJsonPatch
+   * @public
+   * @param {Object} modifier - A MongoDB modifier
+   * @param {Object} [doc] - The document the modifier will be applied to
+   * @returns {Object[]} A JSON Patch (RFC 6902)
+   *
+   * Converts a modifier into a JSON Patch with the same effect. $set becomes
+   * `add`, or `replace` for array items, $unset becomes `remove`, $rename
+   * becomes `move`, and $push without $slice or $sort becomes an `add` for
+   * each item. A replacement document becomes a `replace` of the whole
+   * document.
+   *
+   * When `doc` is passed, the patch is made to apply cleanly to it, with each
+   * operation following from the ones before it: missing ancestors are added,
+   * nothing is removed that isn't there, and the results of all other
+   * operators are written as `add` or `replace` operations.
+   * Without `doc`, an operator that can't be expressed throws an error with
+   * `operator` and `key` properties.
+   */
+  static modifierToJsonPatch(modifier, doc) {
+    if (!isModifier(modifier)) return [{ op: 'replace', path: '', value: MongoObject.clone(modifier || {}) }];
+
+    const patch = [];
+
+    // Each operation applies to the document as the earlier ones leave it
+    let current = doc;
+    for (const { operator, key, value } of modifierEntries(modifier)) {
+      if (MongoObject.getPositionalOperators(key).length) {
+        throw patchExportError(operator, key, 'keys with positional operators have no JSON Pointer');
+      }
+
+      const segments = key.split('.');
+      const path = keyToPointer(key);
+      const isItemPush = operator === '$push' && !('$slice' in pushOptions(value)) && !('$sort' in pushOptions(value));
+      const next = current && MongoObject.applyModifier(current, { [operator]: { [key]: value } });
+
+      if (operator === '$rename') {
+        patch.push(...renamePatch(current, key, value));
+      } else if (current && !(isItemPush && Array.isArray(getValueForPath(current, segments)))) {
+        // Write whatever the operator leaves at the key
+        patch.push(...patchForChangedKey(current, next, segments));
+      } else if (operator === '$set') {
+        patch.push({ op: isArrayIndex(_.last(segments)) ? 'replace' : 'add', path, value });
+      } else if (operator === '$unset') {
+        patch.push({ op: 'remove', path });
+      } else if (isItemPush) {
+        const { $each: items, $position: position } = pushOptions(value);
+        items.forEach((item, i) => {
+          patch.push({ op: 'add', path: position === undefined ? `${path}/-` : `${path}/${position + i}`, value: item });
+        });
+      } else {
+        throw patchExportError(operator, key, 'the result depends on the document, which was not passed');
+      }
+
+      current = next;
+    }
+
+    return patch;
+  }
+
+  /**
+   * @method MongoObject.jsonPatchToModifier
+   * @public
+   * @param {Object[]} patch - A JSON Patch (RFC 6902)
+   * @returns {Object} A MongoDB modifier
+   *
+   * Converts a JSON Patch into a modifier with the same effect. `add` and
+   * `replace` become $set, `remove` becomes $unset and `move` becomes
+   * $rename. An `add` to an array index or to the end of an array (`-`)
+   * becomes a $push, so numeric path segments are taken to be array indexes.
+   * Changes to the same key are combined as by `mergeModifiers`. A `replace`
+   * of the whole document, as `modifierToJsonPatch` makes for a replacement
+   * document, becomes a replacement document, with any later operations
+   * applied to it.
+   *
+   * Operations that can't be expressed in a modifier, such as `copy`, `test`,
+   * `remove` of an array item, or paths with keys that contain a '.', throw an
+   * error with an `index` property giving the position of the operation in
+   * the patch.
+   */
+  static jsonPatchToModifier(patch) {
+    if (!Array.isArray(patch)) throw new Error('A JSON Patch must be an array of operations');
+
+    let modifier = {};
+    let isReplacement = false;
+    patch.forEach((operation, index) => {
+      try {
+        const next = patchOperationToModifier(operation);
+        if (!isModifier(next)) {
+          // Replacing the whole document discards the changes before it
+          modifier = next;
+          isReplacement = true;
+        } else if (isReplacement) {
+          modifier = MongoObject.applyModifier(modifier, next);
+        } else {
+          modifier = _.isEmpty(modifier) ? next : MongoObject.mergeModifiers(modifier, next);
+        }
+      } catch (error) {
+        error.message = `JSON Patch operation ${index}: ${error.message}`;
+        error.index = index;
+        throw error;
+      }
+    });
+
+    return modifier;
+  }
+
+  /* Tests whether "obj" is an Object as opposed to
+   * something that inherits from Object
+   *
+   * @param {any} obj
+   * @returns {Boolean}
+   */
+  static isBasicObject(obj) {
+    return obj === Object(obj) && Object.getPrototypeOf(obj) === Object.prototype;
+  }
+
+  /**
+   * @method MongoObject.registerType
+   * @public
+   * @param {Object} definition - The type definition
+   * @param {String} definition.name - A unique name. Registering a type with the name of an existing type replaces it.
+   * @param {Function} definition.test - Returns true for values of this type
+   * @param {Boolean} [definition.traversable=false] - Whether the properties of values of this type are nodes
+   * @param {Function} [definition.clone] - Returns a copy of a value. By default, values that are not traversable are not copied, and traversable ones are copied deeply.
+   * @param {Function} [definition.isEqual] - Returns true if two values of this type are equal. By default they are compared deeply.
+   * @param {Function} [definition.isEmpty] - Returns true if a value should be treated like null by `cleanNulls` and `docToModifier`. By default, only traversable values without properties are empty.
+   * @returns {undefined}
+   *
+   * Registers a type of value to be handled specially. Values are matched
+   * against the most recently registered types first, and a matching type
+   * applies even to plain objects. Date, ObjectId, Decimal128 and Binary are
+   * registered by default.
+   */
+  static registerType(definition) {
+    const type = normalizeType(definition);
+    MongoObject.unregisterType(type.name);
+    TYPES.push(type);
+  }
+
+  /**
+   * @method MongoObject.unregisterType
+   * @public
+   * @param {String} name - The name the type was registered with
+   * @returns {undefined}
+   */
+  static unregisterType(name) {
+    const index = _.findIndex(TYPES, (type) => type.name === name);
+    if (index > -1) TYPES.splice(index, 1);
+  }
+
+  /**
+   * @method MongoObject.getTypeForValue
+   * @public
+   * @param {Any} value
+   * @returns {Object|undefined} The registered type definition that matches `value`
+   */
+  static getTypeForValue(value) {
+    if (value === null || typeof value !== 'object') return;
+
+    return _.findLast(TYPES, (type) => type.test(value));
+  }
+
+  /**
+   * @method MongoObject.isTraversableObject
+   * @public
+   * @param {Any} value
+   * @returns {Boolean}
+   *
+   * Tests whether the properties of `value` are nodes of the object tree,
+   * which is true of values of traversable registered types and of plain
+   * objects that match no registered type.
+   */
+  static isTraversableObject(value) {
+    const type = MongoObject.getTypeForValue(value);
+    return type ? type.traversable : MongoObject.isBasicObject(value);
+  }
+
+  /**
+   * @method MongoObject.clone
+   * @public
+   * @param {Any} value
+   * @returns {Any}
+   *
+   * Deeply clones `value`, cloning values of registered types as their types
+   * define.
+   */
+  static clone(value) {
+    return _.cloneDeepWith(value, (item) => {
+      const type = MongoObject.getTypeForValue(item);
+      if (type && type.clone) return type.clone(item);
+    });
+  }
+
+  /**
+   * @method MongoObject.isEqual
+   * @public
+   * @param {Any} a
+   * @param {Any} b
+   * @returns {Boolean}
+   *
+   * Deeply compares two values, comparing values of registered types as
+   * their types define.
+   */
+  static isEqual(a, b) {
+    return _.isEqualWith(a, b, (aItem, bItem) => {
+      const type = MongoObject.getTypeForValue(aItem);
+      if (!type || !type.isEqual) return;
+      return MongoObject.getTypeForValue(bItem) === type && type.isEqual(aItem, bItem);
+    });
+  }
+
+  /**
+   * @method MongoObject.objAffectsKey
+   * @public
+   * @param  {Object} obj
+   * @param  {String} key
+   * @return {Boolean}
+   */
+  static objAffectsKey(obj, key) {
+    const mDoc = new MongoObject(obj);
+    return mDoc.affectsKey(key);
+  }
+
+  /**
+   * @method MongoObject.expandObj
+   * @public
+   * @param  {Object} doc
+   * @return {Object}
+   *
+   * Takes a flat object and returns an expanded version of it.
+   *
+   * Throws a `MongoObject.ObjectStructureError` if a key has more than
+   * `options.maxDepth` pieces.
+   */
+  static expandObj(doc, {
+    maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+  } = {}) {
+    const newDoc = {};
+    _.each(doc, (val, key) => {
+      const subkeys = key.split('.');
+      const subkeylen = subkeys.length;
+      if (subkeylen > maxDepth) throw depthError(subkeys, maxDepth);
+
+      let current = newDoc;
+      for (let i = 0; i < subkeylen; i++) {
+        const subkey = subkeys[i];
+        if (typeof current[subkey] !== 'undefined' && !isExpandable(current[subkey])) {
+          break; // Already set for some reason; leave it alone
+        }
+
+        if (i === subkeylen - 1) {
+          // Last iteration; time to set the value
+          current[subkey] = val;
         } else {
           // See if the next piece is a number
           let nextPiece = subkeys[i + 1];
           nextPiece = parseInt(nextPiece, 10);
-          if (isNaN(nextPiece) && !_.isObject(current[subkey])) {
+          if (isNaN(nextPiece) && !isExpandable(current[subkey])) {
             current[subkey] = {};
           } else if (!isNaN(nextPiece) && !Array.isArray(current[subkey])) {
             current[subkey] = [];
@@ -886,37 +2365,2218 @@ export default class MongoObject {
     });
     return newDoc;
   }
-}
 
-/* PRIVATE */
+  /**
+   * @method MongoObject.validateFieldNames
+   * @public
+   * @param  {Object} doc - A document to be stored
+   * @param  {Object} [options] - Options
+   * @param  {Number} [options.maxDepth] - The deepest level of nesting to check
+   * @return {Object[]} Errors, which are empty if every field name may be stored
+   *
+   * Checks the field names of a document, including those of objects nested
+   * in objects and arrays, for names that MongoDB doesn't allow or that
+   * can't be told apart from paths and operators in a modifier. Each error
+   * has a `code`, the `field` name, the `position` of the field in `doc` and
+   * a `message`. Codes are:
+   *
+   * - EMPTY_FIELD_NAME: an empty field name
+   * - DOLLAR_FIELD_NAME: a field name that starts with '$'
+   * - DOTTED_FIELD_NAME: a field name that contains '.'
+   * - NULL_CHARACTER: a field name that contains the null character
+   *
+   * A field name with more than one problem has an error for each. Throws a
+   * `MongoObject.ObjectStructureError` if `doc` is nested more than
+   * `options.maxDepth` levels deep, or contains itself.
+   */
+  static validateFieldNames(doc, {
+    maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+  } = {}) {
+    const errors = [];
+    validateFieldNamesWithin(doc, errors, { pieces: [], ancestors: [], maxDepth });
+    return errors;
+  }
 
-function appendAffectedKey(affectedKey, key) {
-  if (key === '$each') return affectedKey;
-  return affectedKey ? `${affectedKey}.${key}` : key;
-}
+  /**
+   * @method MongoObject.escapeKeys
+   * @public
+   * @param  {Object} doc - Source object
+   * @param  {Object} [options] - Options
+   * @param  {String|Object} [options.scheme] - 'percent', or an object with `escape(key)` and `unescape(key)` functions
+   * @param  {Number} [options.maxDepth] - The deepest level of nesting to escape
+   * @return {Object} A copy of `doc` with escaped keys
+   *
+   * Returns a copy of `doc` in which the keys of objects, at any depth and
+   * within arrays, are escaped so that they can be stored as single fields.
+   * `MongoObject.unescapeKeys` with the same scheme restores the original
+   * keys. Objects of traversable registered types keep their type, and other
+   * values are not copied.
+   *
+   * The default 'percent' scheme replaces '%' with '%25', '.' with '%2E', the
+   * null character with '%00' and a leading '$' with '%24'. Because '%' is
+   * escaped too, any key round-trips exactly.
+   *
+   * Throws a `MongoObject.ObjectStructureError` if `doc` is nested more than
+   * `options.maxDepth` levels deep, or contains itself.
+   */
+  static escapeKeys(doc, {
+    scheme: scheme = 'percent',
+    maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+  } = {}) {
+    const { escape } = resolveKeyEscapeScheme(scheme);
+    return transformKeysWithin(doc, escape, { pieces: [], ancestors: [], maxDepth });
+  }
 
-// Extracts operator piece, if present, from position string
-function extractOp(position) {
-  const firstPositionPiece = position.slice(0, position.indexOf('['));
-  return (firstPositionPiece.substring(0, 1) === '$') ? firstPositionPiece : null;
-}
+  /**
+   * @method MongoObject.unescapeKeys
+   * @public
+   * @param  {Object} doc - An object with keys escaped by `MongoObject.escapeKeys`
+   * @param  {Object} [options] - Options, as for `MongoObject.escapeKeys`
+   * @return {Object} A copy of `doc` with the original keys
+   *
+   * Reverses `MongoObject.escapeKeys`, which must have used the same scheme.
+   */
+  static unescapeKeys(doc, {
+    scheme: scheme = 'percent',
+    maxDepth: maxDepth = DEFAULT_MAX_DEPTH,
+  } = {}) {
+    const { unescape } = resolveKeyEscapeScheme(scheme);
+    return transformKeysWithin(doc, unescape, { pieces: [], ancestors: [], maxDepth });
+  }
 
-function genericKeyAffectsOtherGenericKey(key, affectedKey) {
-  // If the affected key is the test key
-  if (affectedKey === key) return true;
+  /**
+   * @method MongoObject.applyModifier
+   * @public
+   * @param  {Object} doc - The document to update. It is not changed.
+   * @param  {Object} modifier - A MongoDB modifier
+   * @return {Object} A copy of `doc` with the modifier applied
+   *
+   * Applies a MongoDB modifier to a document in memory, following the
+   * semantics MongoDB uses for $set, $unset, $inc, $mul, $min, $max, $rename,
+   * $currentDate, $push, $addToSet, $pull, $pullAll and $pop. $setOnInsert is
+   * ignored because this is not an insert. A modifier without any operators
+   * replaces the document, keeping its `_id`.
+   *
+   * Like `expandKey`, missing ancestors are created as arrays when the next
+   * piece of the key is numeric and as objects otherwise.
+   *
+   * Keys with positional operators are resolved against `doc` using the
+   * `arrayFilters` and `selector` options, as in `resolvePositionalKey`.
+   */
+  static applyModifier(doc, modifier, {
+    arrayFilters: arrayFilters = [],
+    selector: selector,
+  } = {}) {
+    const newDoc = MongoObject.clone(doc || {});
+    const keys = Object.keys(modifier || {});
+    const operators = keys.filter((key) => key.substring(0, 1) === '$');
 
-  // If the affected key implies the test key because the affected key
-  // starts with the test key followed by a period
-  if (affectedKey.substring(0, key.length + 1) === `${key}.`) return true;
+    // Replacement document
+    if (!operators.length) {
+      const replacement = MongoObject.clone(modifier || {});
+      if (newDoc._id !== undefined) replacement._id = newDoc._id;
+      return replacement;
+    }
 
-  // If the affected key implies the test key because the affected key
-  // starts with the test key and the test key ends with ".$"
-  const lastTwo = key.slice(-2);
-  if (lastTwo === '.$' && key.slice(0, -2) === affectedKey) return true;
+    if (operators.length !== keys.length) {
+      throw new Error('A modifier may not mix update operators and plain fields');
+    }
 
-  return false;
-}
+    const mDoc = new MongoObject(newDoc);
+    for (const operator of operators) {
+      const applyOperator = UPDATE_OPERATORS[operator];
+      if (!applyOperator) throw new Error(`Unsupported update operator ${operator}`);
 
-function isNullUndefinedOrEmptyString(val) {
-  return (val === undefined || val === null || (typeof val === 'string' && val.length === 0));
+      _.each(modifier[operator], (arg, positionalKey) => {
+        for (const key of resolvePositionalKey(doc || {}, positionalKey, arrayFilters, selector)) {
+          applyOperator(mDoc, key, arg);
+        }
+      });
+    }
+
+    return mDoc.getObject();
+  }
+
+  /**
+   * @method MongoObject.upsertDocument
+   * @public
+   * @param  {Object} selector - The MongoDB query selector of the upsert
+   * @param  {Object} modifier - A MongoDB modifier or replacement document
+   * @return {Object} The document MongoDB would insert
+   *
+   * Builds the document that an upsert inserts when nothing matches the
+   * selector. The equality fields of the selector, including those within
+   * $and and those compared with $eq or a single-item $in, are set first.
+   * The modifier is then applied as by `applyModifier`, with $setOnInsert
+   * treated as $set, $inc setting missing fields and $push creating new
+   * arrays. $unset is ignored. A replacement document is inserted as it is,
+   * with the `_id` from the selector.
+   *
+   * Throws an error with the conflicting `keys` if the selector matches a
+   * key along with one of its ancestors, if the modifier updates a key along
+   * with one of its ancestors, if the modifier sets a key within a selector
+   * field that isn't an object, or if it changes the `_id` in the selector.
+   */
+  static upsertDocument(selector, modifier) {
+    const fields = selectorEqualityFields(selector || {}, []);
+    fields.forEach((field, i) => {
+      const other = _.find(fields.slice(0, i), (previous) => keysConflict(field.key, previous.key));
+      if (other) throw upsertConflictError(`The selector matches both '${other.key}' and '${field.key}'`, [other.key, field.key]);
+    });
+
+    const mDoc = new MongoObject({});
+    for (const { key, value } of fields) {
+      setValueForKey(mDoc, key, MongoObject.clone(value));
+    }
+
+    const keys = Object.keys(modifier || {});
+    const operators = keys.filter((key) => key.substring(0, 1) === '$');
+
+    // Replacement document
+    if (!operators.length) {
+      const replacement = MongoObject.clone(modifier || {});
+      const selectorId = getValueForKey(mDoc, '_id');
+      if (selectorId !== undefined) replacement._id = selectorId;
+      return replacement;
+    }
+
+    if (operators.length !== keys.length) {
+      throw new Error('A modifier may not mix update operators and plain fields');
+    }
+
+    const updates = _.flatMap(operators, (operator) => _.map(modifier[operator], (arg, key) => ({ operator, key, arg })));
+    updates.forEach((update, i) => {
+      const other = _.find(updates.slice(0, i), (previous) => keysConflict(update.key, previous.key));
+      if (other) throw upsertConflictError(`Updating '${update.key}' would conflict with updating '${other.key}'`, [other.key, update.key]);
+      assertUpsertKeyAllowed(update, fields);
+    });
+
+    for (const { operator, key, arg } of updates) {
+      if (operator === '$unset') continue;
+
+      const applyOperator = UPDATE_OPERATORS[operator === '$setOnInsert' ? '$set' : operator];
+      if (!applyOperator) throw new Error(`Unsupported update operator ${operator}`);
+      applyOperator(mDoc, key, arg);
+    }
+
+    return mDoc.getObject();
+  }
+
+  /**
+   * @method MongoObject.matches
+   * @public
+   * @param  {Object} doc
+   * @param  {Object} selector - A MongoDB query selector
+   * @return {Boolean}
+   *
+   * Returns true if the document satisfies the selector. Dot-notation keys
+   * traverse arrays the same way MongoDB does, so `{'a.b': 1}` matches
+   * `{a: [{b: 1}, {b: 2}]}`. Supports $eq, $ne, $gt, $gte, $lt, $lte, $in,
+   * $nin, $exists, $type, $regex, $size, $all, $elemMatch, $not, $and, $or
+   * and $nor. Throws for any other operator.
+   */
+  static matches(doc, selector) {
+    return documentMatches(doc, selector || {});
+  }
+
+  /**
+   * @method MongoObject.validateModifier
+   * @public
+   * @param  {Object} modifier - A MongoDB modifier or replacement document
+   * @param  {Object} [options]
+   * @param  {Object[]} [options.arrayFilters] - The array filters that will be passed with the modifier
+   * @return {Object[]} A list of errors, empty if the modifier is valid
+   *
+   * Checks a modifier for problems that MongoDB would reject it for. Each
+   * error has a `code`, the `operator` and `key` involved, the `position` in
+   * the modifier where the problem was found, and a `message`. The codes are
+   *
+   * - MIXED_OPERATORS_AND_FIELDS: a plain field next to update operators
+   * - UNKNOWN_OPERATOR: a top-level key starting with '$' that isn't an update operator
+   * - INVALID_ARGUMENT: a modifier, operator value or operator argument of the wrong type
+   * - EMPTY_FIELD_NAME: an empty field name or piece of a dotted field name
+   * - DOLLAR_FIELD_NAME: a field name that starts with '$' and isn't a positional operator
+   * - CONFLICTING_KEYS: two updates to the same key, or to a key and one of its ancestors
+   * - MISSING_ARRAY_FILTER: a `$[identifier]` with no array filter, when `options.arrayFilters` is passed
+   */
+  static validateModifier(modifier, {
+    arrayFilters: arrayFilters,
+  } = {}) {
+    if (!_.isObject(modifier)) {
+      return [{ code: 'INVALID_ARGUMENT', operator: null, key: null, position: null, message: 'A modifier must be an object' }];
+    }
+
+    const errors = [];
+    const mDoc = new MongoObject(MongoObject.clone(modifier));
+    const keys = Object.keys(modifier);
+    const operators = keys.filter((key) => key.substring(0, 1) === '$');
+
+    function addError(code, operator, key, position, message) {
+      errors.push({ code, operator, key, position, message });
+    }
+
+    // Checks the names of fields nested within values, using the affected
+    // keys that the parser found below `fieldPosition`
+    function validateNestedFieldNames(operator, fieldPosition, fieldKey) {
+      for (const position of Object.getOwnPropertyNames(mDoc._affectedKeys)) {
+        if (position.substring(0, fieldPosition.length + 1) === `${fieldPosition}[`) {
+          const segments = position.slice(fieldPosition.length + 1, -1).split('][');
+          if (segments[0] === '$each') segments.shift();
+          const name = segments[segments.length - 1];
+          if (name === '') {
+            addError('EMPTY_FIELD_NAME', operator, fieldKey, position, `An empty field name was found in the value of '${fieldKey}'`);
+          } else if (name && name.substring(0, 1) === '$') {
+            addError('DOLLAR_FIELD_NAME', operator, fieldKey, position, `The field name '${name}' in the value of '${fieldKey}' must not start with '$'`);
+          }
+        }
+      }
+    }
+
+    // Replacement document
+    if (!operators.length) {
+      for (const key of keys) {
+        if (key === '') addError('EMPTY_FIELD_NAME', null, key, key, 'An empty field name was found');
+        validateNestedFieldNames(null, key, key);
+      }
+
+      return errors;
+    }
+
+    for (const key of keys) {
+      if (key.substring(0, 1) !== '$') {
+        addError('MIXED_OPERATORS_AND_FIELDS', null, key, key, `The field '${key}' must not be mixed with update operators`);
+      }
+    }
+
+    const touchedKeys = [];
+    for (const operator of operators) {
+      const fields = modifier[operator];
+      if (MODIFIER_OPERATORS.indexOf(operator) === -1) {
+        addError('UNKNOWN_OPERATOR', operator, null, operator, `Unknown update operator ${operator}`);
+      } else if (!MongoObject.isBasicObject(fields)) {
+        addError('INVALID_ARGUMENT', operator, null, operator, `The value of ${operator} must be an object`);
+      } else {
+        _.each(fields, (value, key) => {
+          const position = formatPosition([operator, key]);
+          validateFieldName(key, operator, position, addError);
+          touchedKeys.push({ key, operator, position });
+
+          if (arrayFilters) {
+            for (const { identifier } of MongoObject.getPositionalOperators(key)) {
+              const hasFilter = identifier === null || arrayFilters.some((filter) => (
+                Object.keys(filter).some((filterKey) => filterKey.split('.')[0] === identifier)
+              ));
+              if (!hasFilter) {
+                addError('MISSING_ARRAY_FILTER', operator, key, position, `No array filter found for identifier '${identifier}' in '${key}'`);
+              }
+            }
+          }
+
+          if ((operator === '$inc' || operator === '$mul') && typeof value !== 'number') {
+            addError('INVALID_ARGUMENT', operator, key, position, `Cannot ${operator} '${key}' by a value that is not a number`);
+          } else if (operator === '$rename') {
+            if (typeof value !== 'string' || !value.length) {
+              addError('INVALID_ARGUMENT', operator, key, position, `The $rename target for '${key}' must be a non-empty string`);
+            } else {
+              validateFieldName(value, operator, position, addError);
+              touchedKeys.push({ key: value, operator, position });
+            }
+          }
+
+          if (LITERAL_VALUE_OPERATORS.indexOf(operator) > -1) validateNestedFieldNames(operator, position, key);
+        });
+      }
+    }
+
+    // Look for keys that are updated more than once
+    touchedKeys.forEach((touched, i) => {
+      for (const other of touchedKeys.slice(0, i)) {
+        if (keysConflict(touched.key, other.key)) {
+          addError('CONFLICTING_KEYS', touched.operator, touched.key, touched.position, `Updating '${touched.key}' would conflict with updating '${other.key}' at ${other.position}`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * @method MongoObject.applyProjection
+   * @public
+   * @param  {Object} doc
+   * @param  {Object} projection - A MongoDB projection, such as `{a: 1, 'b.c': 1}` or `{secret: 0}`
+   * @return {Object} A new document with only the projected fields
+   *
+   * Projects a document the way a MongoDB find would. An inclusion projection
+   * keeps only the listed fields plus `_id`, unless `_id` is 0, so `{_id: 1}`
+   * keeps only `_id`. An exclusion projection keeps everything except the
+   * listed fields. Dotted keys and embedded projections such as `{b: {c: 1}}`
+   * reach into objects and into the objects within arrays.
+   *
+   * `{a: {$slice: n}}` keeps the first n items of an array, or the last n if
+   * n is negative, and `{a: {$slice: [skip, limit]}}` skips items first.
+   * `{a: {$elemMatch: query}}` keeps only the first item matching the query,
+   * leaving out the field when no item matches.
+   *
+   * Throws an error with the `errors` from `validateProjection` if the
+   * projection isn't valid.
+   */
+  static applyProjection(doc, projection) {
+    const { entries, isInclusion } = parseValidProjection(projection);
+    const tree = projectionTree(isInclusion && !_.some(entries, { key: '_id' }) ? [{ key: '_id', value: true }].concat(entries) : entries);
+
+    return isInclusion ? projectIncluded(doc || {}, tree) : projectExcluded(doc || {}, tree);
+  }
+
+  /**
+   * @method MongoObject.validateProjection
+   * @public
+   * @param  {Object} projection - A MongoDB projection
+   * @return {Object[]} A list of errors, empty if the projection is valid
+   *
+   * Checks a projection for problems that MongoDB would reject it for. Each
+   * error has a `code`, the `key` involved and a `message`. The codes are
+   *
+   * - MIXED_INCLUSION_EXCLUSION: included and excluded fields other than `_id` together
+   * - PATH_COLLISION: a key listed more than once, or along with one of its ancestors
+   * - UNKNOWN_OPERATOR: a projection operator other than $slice and $elemMatch
+   * - INVALID_ARGUMENT: a value that isn't a number, boolean, embedded projection or valid operator
+   * - EMPTY_FIELD_NAME: an empty field name or piece of a dotted field name
+   * - DOLLAR_FIELD_NAME: a field name that starts with '$'
+   */
+  static validateProjection(projection) {
+    return parseProjection(projection).errors;
+  }
+
+  /**
+   * @method MongoObject.projectionAffectsKey
+   * @public
+   * @param  {Object} projection - A MongoDB projection
+   * @param  {String} genericKey
+   * @return {Boolean}
+   *
+   * Returns true if the generic key would appear in documents projected with
+   * `applyProjection`, whether entirely or because some of the keys within it
+   * are included. Throws like `applyProjection` for an invalid projection.
+   */
+  static projectionAffectsKey(projection, genericKey) {
+    const { entries, isInclusion } = parseValidProjection(projection);
+
+    // Projections reach into arrays without naming their items
+    const key = genericKey.split('.').filter((piece) => piece !== '$').join('.');
+
+    if (entries.some((entry) => entry.value === false && genericKeyAffectsOtherGenericKey(entry.key, key))) return false;
+    if (!isInclusion || genericKeyAffectsOtherGenericKey('_id', key)) return true;
+
+    return entries.some((entry) => entry.value !== false && (
+      genericKeyAffectsOtherGenericKey(key, entry.key) || genericKeyAffectsOtherGenericKey(entry.key, key)
+    ));
+  }
+}
+
+MongoObject.ObjectStructureError = ObjectStructureError;
+
+/* ERRORS */
+
+/**
+ * @constructor ObjectStructureError
+ * @param {String} code - 'CIRCULAR_REFERENCE' or 'MAX_DEPTH_EXCEEDED'
+ * @param {String} position - The position where the problem was found
+ * @param {String} message
+ *
+ * Thrown when an object contains itself or is nested too deeply to traverse.
+ * This is a plain constructor rather than a class because the Babel ES2015
+ * transform doesn't support extending built-in classes such as Error.
+ */
+function ObjectStructureError(code, position, message) {
+  this.name = 'ObjectStructureError';
+  this.code = code;
+  this.position = position;
+  this.message = message;
+  this.stack = (new Error(message)).stack;
+}
+
+ObjectStructureError.prototype = Object.create(Error.prototype);
+ObjectStructureError.prototype.constructor = ObjectStructureError;
+
+// Returns the error for a value found more than `maxDepth` levels deep at `pieces`
+function depthError(pieces, maxDepth) {
+  const position = formatPosition(pieces);
+  return new ObjectStructureError('MAX_DEPTH_EXCEEDED', position, `The value at ${position} is nested more than ${maxDepth} levels deep`);
+}
+
+// Returns the error for a value at `pieces` that is also one of the values
+// containing it
+function circularError(pieces) {
+  const position = formatPosition(pieces);
+  return new ObjectStructureError('CIRCULAR_REFERENCE', position, `The value at ${position} contains itself`);
+}
+
+// Throws if an object or array found at `pieces` while walking a document is
+// one of the `ancestors` on the way to it, or is too deeply nested
+function checkStructure(value, { pieces, ancestors, maxDepth }) {
+  if (ancestors.indexOf(value) > -1) throw circularError(pieces);
+  if (pieces.length > maxDepth) throw depthError(pieces, maxDepth);
+}
+
+// Returns the walk state for the item or property `key` of `value`
+function withinValue(value, key, { pieces, ancestors, maxDepth }) {
+  return { pieces: pieces.concat(key), ancestors: ancestors.concat([value]), maxDepth };
+}
+
+/* PRIVATE */
+
+function appendAffectedKey(affectedKey, key) {
+  if (key === '$each') return affectedKey;
+  return affectedKey ? `${affectedKey}.${key}` : key;
+}
+
+// Splits a position string into its segments, e.g. 'foo[bar][0]' -> ['foo', 'bar', '0'].
+// See MongoObject.parsePosition for the grammar.
+function parsePosition(position, traverseObject = false) {
+  const segments = [];
+  let segment = '';
+  let depth = 0;
+  for (let i = 0; i < position.length; i++) {
+    const char = position[i];
+    if (char === '\\' && i < position.length - 1) {
+      // An escaped character is always part of the segment
+      i++;
+      segment += position[i];
+    } else if ((char === '[' && depth === 0) || (char === '.' && traverseObject)) {
+      segments.push(segment);
+      segment = '';
+      if (char === '[') depth = 1;
+    } else if (char === ']' && depth === 1) {
+      depth = 0;
+    } else {
+      // Balanced brackets within a bracketed segment, as in 'items.$[elem].qty'
+      if (char === '[') depth++;
+      if (char === ']' && depth > 1) depth--;
+      segment += char;
+    }
+  }
+
+  segments.push(segment);
+  return segments;
+}
+
+// Joins segments into a position string, e.g. ['foo', 'bar', '0'] -> 'foo[bar][0]'
+function formatPosition(segments) {
+  return segments.reduce((position, segment, i) => appendSegment(i === 0 ? null : position, segment), '');
+}
+
+// Appends a segment to a position, or returns the position of a top-level
+// segment if `position` is null
+function appendSegment(position, segment) {
+  let escaped = String(segment).replace(/\\/g, '\\\\');
+
+  // Brackets in a bracketed segment need no escaping if they are balanced
+  if (position === null || !hasBalancedBrackets(escaped)) escaped = escaped.replace(/[\[\]]/g, '\\$&');
+
+  return position === null ? escaped : `${position}[${escaped}]`;
+}
+
+function hasBalancedBrackets(segment) {
+  let depth = 0;
+  for (const char of segment) {
+    if (char === '[') depth++;
+    if (char === ']') depth--;
+    if (depth < 0) return false;
+  }
+
+  return depth === 0;
+}
+
+// Extracts operator piece, if present, from position string. In a pipeline,
+// this is the stage operator that follows the stage index.
+function extractOp(position, isPipelinePosition = false) {
+  const operatorPiece = parsePosition(position)[isPipelinePosition ? 1 : 0] || '';
+  return (operatorPiece.substring(0, 1) === '$') ? operatorPiece : null;
+}
+
+// Tests whether a key passed in place of a generic key is a glob pattern or RegExp
+function isGenericKeyPattern(key) {
+  return _.isRegExp(key) || (typeof key === 'string' && key.indexOf('*') > -1);
+}
+
+// Converts a glob pattern to a RegExp that matches whole generic keys. `*`
+// matches within a single piece, while `**` matches any number of pieces.
+function genericKeyPatternToRegExp(pattern) {
+  const pieces = pattern.split('.');
+  let source = '';
+  pieces.forEach((piece, i) => {
+    const isFirst = i === 0;
+    const isLast = i === pieces.length - 1;
+    const afterLeadingGlobstar = i === 1 && pieces[0] === '**';
+
+    if (piece === '**') {
+      if (isFirst) {
+        source += isLast ? '.+' : '(?:[^.]+\\.)*';
+      } else {
+        source += isLast ? '(?:\\.[^.]+)+' : '(?:\\.[^.]+)*';
+      }
+
+      return;
+    }
+
+    if (!isFirst && !afterLeadingGlobstar) source += '\\.';
+    source += piece === '*' ? '[^.]+' : _.escapeRegExp(piece).replace(/\\\*/g, '[^.]*');
+  });
+
+  return new RegExp(`^${source}$`);
+}
+
+// Returns a function that tests whether a generic key is in a list of
+// generic keys, glob patterns and RegExps
+function genericKeyMatcher(patterns) {
+  const keys = new Set(patterns.filter((pattern) => !isGenericKeyPattern(pattern)));
+  const regExps = patterns.filter(isGenericKeyPattern).map((pattern) => (
+    _.isRegExp(pattern) ? pattern : genericKeyPatternToRegExp(pattern)
+  ));
+
+  // String.prototype.search ignores the lastIndex of global RegExps
+  return (genericKey) => keys.has(genericKey) || regExps.some((regExp) => genericKey.search(regExp) > -1);
+}
+
+// Returns a function that tests whether an object or array should be
+// blackboxed because of its type or the blackboxPredicate option
+function blackboxValueTest(predicate, types) {
+  if (!predicate && !types.length) return () => false;
+
+  const typeNames = types.filter((type) => typeof type === 'string');
+  const constructors = types.filter((type) => typeof type === 'function');
+
+  return (value, genericKey) => {
+    if (!Array.isArray(value) && !MongoObject.isTraversableObject(value)) return false;
+
+    const type = MongoObject.getTypeForValue(value);
+    if (type && typeNames.indexOf(type.name) > -1) return true;
+    if (constructors.some((Type) => value instanceof Type)) return true;
+
+    return !!predicate && !!predicate(value, genericKey);
+  };
+}
+
+function genericKeyAffectsOtherGenericKey(key, affectedKey) {
+  // If the affected key is the test key
+  if (affectedKey === key) return true;
+
+  // If the affected key implies the test key because the affected key
+  // starts with the test key followed by a period
+  if (affectedKey.substring(0, key.length + 1) === `${key}.`) return true;
+
+  // If the affected key implies the test key because the affected key
+  // starts with the test key and the test key ends with ".$"
+  const lastTwo = key.slice(-2);
+  if (lastTwo === '.$' && key.slice(0, -2) === affectedKey) return true;
+
+  return false;
+}
+
+/* TYPES */
+
+// Fills in the defaults of a type definition passed to registerType
+function normalizeType(definition) {
+  if (!definition || typeof definition.name !== 'string' || typeof definition.test !== 'function') {
+    throw new Error('A type must have a name and a test function');
+  }
+
+  const traversable = !!definition.traversable;
+  return _.assign({
+    clone: traversable ? undefined : (value) => value,
+    isEqual: undefined,
+    isEmpty: traversable ? (value) => _.isEmpty(value) : () => false,
+  }, _.omitBy(definition, _.isUndefined), { traversable });
+}
+
+function bsonTypeTest(...bsonTypes) {
+  return (value) => bsonTypes.indexOf(value._bsontype) > -1;
+}
+
+function bsonValuesEqual(a, b) {
+  if (typeof a.equals === 'function') return a.equals(b);
+  return a._bsontype === b._bsontype && _.isEqual(a, b);
+}
+
+// Tests whether an object or value of a registered type counts as empty
+function isEmptyValue(value) {
+  const type = MongoObject.getTypeForValue(value);
+  return type ? type.isEmpty(value) : _.isEmpty(value);
+}
+
+// Tests whether expandObj may set keys within an existing value
+function isExpandable(value) {
+  const type = MongoObject.getTypeForValue(value);
+  return type ? type.traversable : _.isObject(value);
+}
+
+// Does the work of cleanNulls, keeping track of the `pieces` of the position
+// of `doc` and the `ancestors` containing it to stop at cycles and `maxDepth`
+function cleanNullsWithin(doc, isArray, keepEmptyStrings, walk) {
+  checkStructure(doc, walk);
+
+  const newDoc = isArray ? [] : {};
+  _.each(doc, (val, key) => {
+    const within = withinValue(doc, key, walk);
+    if (!Array.isArray(val) && MongoObject.isTraversableObject(val)) {
+      // Recurse into plain objects and traversable types
+      const cleaned = cleanNullsWithin(val, false, keepEmptyStrings, within);
+      val = MongoObject.isBasicObject(val) ? cleaned : _.assign(Object.create(Object.getPrototypeOf(val)), cleaned);
+      if (!isEmptyValue(val)) newDoc[key] = val;
+    } else if (Array.isArray(val)) {
+      val = cleanNullsWithin(val, true, keepEmptyStrings, within); // Recurse into non-typed arrays
+      if (!_.isEmpty(val)) newDoc[key] = val;
+    } else if (MongoObject.getTypeForValue(val)) {
+      if (!isEmptyValue(val)) newDoc[key] = val;
+    } else if (!isNullUndefinedOrEmptyString(val)) {
+      newDoc[key] = val;
+    } else if (keepEmptyStrings && typeof val === 'string' && val.length === 0) {
+      newDoc[key] = val;
+    }
+  });
+  return newDoc;
+}
+
+function isNullUndefinedOrEmptyString(val) {
+  return (val === undefined || val === null || (typeof val === 'string' && val.length === 0));
+}
+
+// Adds validation errors for a dotted field name under an update operator
+function validateFieldName(key, operator, position, addError) {
+  const pieces = key.split('.');
+  if (pieces.some((piece) => piece === '')) {
+    addError('EMPTY_FIELD_NAME', operator, key, position, `The field name '${key}' must not be empty or contain empty pieces`);
+  }
+
+  const invalidPiece = _.find(pieces, (piece) => piece.substring(0, 1) === '$' && !parsePositionalPiece(piece));
+  if (invalidPiece) {
+    addError('DOLLAR_FIELD_NAME', operator, key, position, `The field name '${invalidPiece}' in '${key}' must not start with '$'`);
+  }
+}
+
+// True if two non-generic keys refer to the same key or one is an ancestor of the other
+function keysConflict(key, otherKey) {
+  return key === otherKey ||
+    key.substring(0, otherKey.length + 1) === `${otherKey}.` ||
+    otherKey.substring(0, key.length + 1) === `${key}.`;
+}
+
+/* PARSING */
+
+// Parses `val`, found at `currentPosition`, into the affected keys and
+// position indexes of `mDoc`. Returns a node recording how it was parsed,
+// which is also stored by position in `mDoc._nodes`.
+function parseObj(mDoc, val, currentPosition, affectedKey, operator, adjusted, isWithinArray, parentNode) {
+  const node = {
+    position: currentPosition,
+    parent: parentNode,
+    depth: parentNode ? parentNode.depth + 1 : 0,
+    args: { affectedKey, operator, adjusted, isWithinArray },
+    children: new Set(),
+    container: null,
+  };
+  if (currentPosition) {
+    mDoc._nodes.set(currentPosition, node);
+    parentNode.children.add(currentPosition);
+  }
+
+  // Adjust for first-level modifier operators
+  if (!operator && affectedKey && affectedKey.substring(0, 1) === '$') {
+    operator = affectedKey;
+    affectedKey = null;
+  }
+
+  node.parsedPosition = currentPosition;
+
+  // The value of a pipeline $unset stage names the keys it removes
+  if (mDoc._isPipeline && operator === '$unset' && !affectedKey && currentPosition) {
+    parseUnsetStage(mDoc, val, currentPosition);
+    return node;
+  }
+
+  let affectedKeyIsBlackBox = false;
+  let stop = false;
+  if (affectedKey) {
+    // Adjust for $push and $addToSet and $pull and $pop
+    if (!adjusted && !mDoc._isPipeline) {
+      if (operator === '$push' || operator === '$addToSet' || operator === '$pop') {
+        // Adjust for $each
+        // We can simply jump forward and pretend like the $each array
+        // is the array for the field. This has the added benefit of
+        // skipping past any $slice, which we also don't care about.
+        if (MongoObject.isBasicObject(val) && '$each' in val) {
+          val = val.$each;
+          currentPosition = `${currentPosition}[$each]`;
+        } else {
+          affectedKey = `${affectedKey}.0`;
+        }
+
+        adjusted = true;
+      } else if (operator === '$pull') {
+        affectedKey = `${affectedKey}.0`;
+        if (MongoObject.isBasicObject(val)) {
+          stop = true;
+        }
+
+        adjusted = true;
+      } else if (OPERATOR_INFO[operator] && OPERATOR_INFO[operator].valueType === 'instruction') {
+        // Values such as {$type: 'date'} for $currentDate or {and: 5}
+        // for $bit describe the update rather than containing fields
+        if (operator === '$rename' && currentPosition) mDoc._renameTargets[currentPosition] = val;
+        stop = true;
+        adjusted = true;
+      }
+    }
+
+    // Make generic key
+    const affectedKeyGeneric = MongoObject.makeKeyGeneric(affectedKey);
+
+    // Determine whether affected key should be treated as a black box. Arrays
+    // listed in blackboxKeys have always had their items parsed, so only a
+    // predicate or type blackboxes an array.
+    affectedKeyIsBlackBox = mDoc._isBlackboxValue(val, affectedKeyGeneric) ||
+      (!Array.isArray(val) && mDoc._isBlackboxKey(affectedKeyGeneric));
+    if (affectedKeyIsBlackBox && currentPosition) mDoc._blackboxPositions.add(currentPosition);
+
+    // Mark that this position affects this generic and non-generic key
+    if (currentPosition) {
+      recordPosition(mDoc, currentPosition, affectedKey, operator, isWithinArray);
+    }
+  }
+
+  // Aggregation expressions in a pipeline are values that may read other fields
+  if (mDoc._isPipeline && operator && isAggregationExpression(val)) {
+    if (currentPosition) mDoc._readKeys[currentPosition] = expressionReads(val);
+    stop = true;
+  }
+
+  if (stop) return node;
+
+  // Stop before objects and arrays that contain themselves or are too deep,
+  // which would overflow the stack
+  if (currentPosition && (Array.isArray(val) || MongoObject.isTraversableObject(val))) {
+    const pieces = parsePosition(currentPosition);
+    if (isOwnAncestor(mDoc._obj, pieces, val)) throw circularError(pieces);
+    if (node.depth > mDoc._maxDepth) throw depthError(pieces, mDoc._maxDepth);
+  }
+
+  // Loop through arrays, except for the stages of a pipeline
+  if (Array.isArray(val) && val.length > 0 && !affectedKeyIsBlackBox && (currentPosition || !mDoc._isPipeline)) {
+    if (currentPosition) {
+      // Mark positions with arrays that should be ignored when we want endpoints only
+      mDoc._parentPositions.add(currentPosition);
+    }
+
+    node.container = { isArray: true, position: currentPosition, affectedKey, operator, adjusted };
+    _.each(val, (v, i) => parseChild(mDoc, node, v, i));
+  } else if ((MongoObject.isTraversableObject(val) && !affectedKeyIsBlackBox) || !currentPosition) {
+    // Loop through object keys, only for basic objects,
+    // but always for the passed-in object, even if it
+    // is a custom object.
+
+    if (currentPosition && !_.isEmpty(val)) {
+      // Mark positions with objects that should be ignored when we want endpoints only
+      mDoc._parentPositions.add(currentPosition);
+
+      // Mark positions with objects that should be left out of flat docs.
+      mDoc._objectPositions.add(currentPosition);
+    }
+
+    node.container = { isArray: false, position: currentPosition, affectedKey, operator, adjusted, isWithinArray };
+    _.each(val, (v, k) => {
+      if (v !== void 0) {
+        parseChild(mDoc, node, v, k);
+      } else if (!mDoc._immutable) {
+        delete val[k];
+      }
+    });
+  }
+
+  return node;
+}
+
+// Tests whether `val`, found at `pieces` within `obj`, is also one of the
+// values on the way to it. The path is followed in the object itself rather
+// than through parsed nodes, which may hold values that immutable changes
+// have since copied.
+function isOwnAncestor(obj, pieces, val) {
+  let current = obj;
+  for (let i = 0; i < pieces.length && _.isObject(current); i++) {
+    if (current === val) return true;
+    current = current[pieces[i]];
+  }
+
+  return false;
+}
+
+// Parses the item or property `key` of a container node
+function parseChild(mDoc, node, v, key) {
+  const { isArray, position, affectedKey, operator, adjusted, isWithinArray } = node.container;
+  if (isArray) {
+    const itemPosition = appendSegment(position || null, key);
+    if (position) mDoc._arrayItemPositions.add(itemPosition);
+    parseObj(mDoc, v, itemPosition, `${affectedKey}.${key}`, operator, adjusted, true, node);
+  } else if (key !== '$slice') {
+    let childKey = appendAffectedKey(affectedKey, key);
+
+    // Neither pipeline stages nor the newRoot of $replaceRoot are part of keys
+    if (mDoc._isPipeline && !affectedKey && (!position || (operator === '$replaceRoot' && key === 'newRoot'))) childKey = null;
+
+    parseObj(mDoc, v, appendSegment(position || null, key), childKey, operator, adjusted, isWithinArray, node);
+  }
+}
+
+// Marks that a position affects a key
+function recordPosition(mDoc, position, affectedKey, operator, isWithinArray) {
+  const affectedKeyGeneric = MongoObject.makeKeyGeneric(affectedKey);
+  mDoc._affectedKeys[position] = affectedKey;
+  mDoc._genericAffectedKeys[position] = affectedKeyGeneric;
+  addToIndex(mDoc._positionsByKey, affectedKey, position);
+  addToIndex(mDoc._positionsByGenericKey, affectedKeyGeneric, position);
+
+  // If we're within an array, mark this position so we can omit it from flat docs
+  if (isWithinArray) mDoc._positionsInsideArrays.add(position);
+
+  // Note any positional operators in keys that are updated
+  if (operator) {
+    const positionalOperators = MongoObject.getPositionalOperators(affectedKey);
+    if (positionalOperators.length) mDoc._positionalOperators[position] = positionalOperators;
+  }
+}
+
+// Records the keys named by a pipeline $unset stage, a key or a list of keys
+function parseUnsetStage(mDoc, val, position) {
+  if (typeof val === 'string') {
+    recordPosition(mDoc, position, val, '$unset', false);
+  } else if (Array.isArray(val) && val.length > 0) {
+    mDoc._parentPositions.add(position);
+    _.each(val, (key, i) => {
+      if (typeof key !== 'string' || key === REMOVED_MARKER) return;
+      const itemPosition = appendSegment(position, i);
+      mDoc._arrayItemPositions.add(itemPosition);
+      recordPosition(mDoc, itemPosition, key, '$unset', false);
+    });
+  }
+}
+
+// Removes everything parsed at or below a node from the indexes of `mDoc`
+function removeParsedNode(mDoc, node) {
+  for (const childPosition of node.children) {
+    removeParsedNode(mDoc, mDoc._nodes.get(childPosition));
+    mDoc._arrayItemPositions.delete(childPosition);
+  }
+
+  const position = node.parsedPosition;
+  if (position in mDoc._affectedKeys) {
+    removeFromIndex(mDoc._positionsByKey, mDoc._affectedKeys[position], position);
+    removeFromIndex(mDoc._positionsByGenericKey, mDoc._genericAffectedKeys[position], position);
+    delete mDoc._affectedKeys[position];
+    delete mDoc._genericAffectedKeys[position];
+  }
+
+  delete mDoc._positionalOperators[position];
+  delete mDoc._renameTargets[position];
+  delete mDoc._readKeys[position];
+  mDoc._parentPositions.delete(position);
+  mDoc._positionsInsideArrays.delete(position);
+  mDoc._objectPositions.delete(position);
+  mDoc._blackboxPositions.delete(position);
+  mDoc._nodes.delete(node.position);
+}
+
+function addToIndex(index, key, position) {
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(position);
+}
+
+function removeFromIndex(index, key, position) {
+  const positions = index.get(key);
+  if (!positions) return;
+  positions.delete(position);
+  if (!positions.size) index.delete(key);
+}
+
+// Gets the value at position pieces without treating removed array items specially
+function getRawValue(obj, pieces) {
+  let current = obj;
+  for (const piece of pieces) {
+    if (!Array.isArray(current) && !MongoObject.isTraversableObject(current)) return;
+    current = current[piece];
+  }
+
+  return current;
+}
+
+// Returns a shallow copy of an object or array, keeping the object's prototype
+function copyContainer(value) {
+  if (Array.isArray(value)) return value.slice();
+  return _.assign(Object.create(Object.getPrototypeOf(value)), value);
+}
+
+// Returns a copy of `obj` with the value at position pieces set or removed,
+// sharing everything off the changed path with `obj`. Returns undefined,
+// like a no-op setValueForPosition, if the position can't be reached.
+function setValueImmutably(obj, pieces, value) {
+  const piece = pieces[0];
+  const copy = copyContainer(obj);
+
+  if (pieces.length === 1) {
+    if (value !== undefined) {
+      copy[piece] = value;
+    } else if (Array.isArray(copy)) {
+      // Mark removed items so that positions of later items don't change
+      copy[piece] = REMOVED_MARKER;
+    } else {
+      delete copy[piece];
+    }
+
+    return copy;
+  }
+
+  let child = obj[piece];
+  if (child === undefined && value !== undefined) {
+    child = isNaN(parseInt(pieces[1], 10)) ? {} : [];
+  }
+
+  if (!Array.isArray(child) && !MongoObject.isTraversableObject(child)) return;
+
+  const newChild = setValueImmutably(child, pieces.slice(1), value);
+  if (newChild === undefined) return;
+  copy[piece] = newChild;
+  return copy;
+}
+
+// Returns `value` without removed array items, copying only the objects and
+// arrays that change. The items of a root array are left as they are.
+function withoutRemovedItems(value) {
+  let result = value;
+  if (Array.isArray(value) && value.indexOf(REMOVED_MARKER) > -1) {
+    result = _.without(value, REMOVED_MARKER);
+  }
+
+  _.each(result, (item, key) => {
+    if (!Array.isArray(item) && !MongoObject.isTraversableObject(item)) return;
+    const newItem = withoutRemovedItems(item);
+    if (newItem === item) return;
+    if (result === value) result = copyContainer(value);
+    result[key] = newItem;
+  });
+
+  return result;
+}
+
+/* HISTORY */
+
+// Returns the position at which the history records setting a value, so that
+// restoring the old value there undoes the change exactly. This is the first
+// missing ancestor that setting creates, or an array that setting lengthens.
+function historyPosition(obj, pieces) {
+  let current = obj;
+  for (let i = 0; i < pieces.length; i++) {
+    if (i > 0 && Array.isArray(current) && Number(pieces[i]) >= current.length) {
+      return formatPosition(pieces.slice(0, i));
+    }
+
+    if (current[pieces[i]] === undefined) return formatPosition(pieces.slice(0, i + 1));
+    current = current[pieces[i]];
+    if (!Array.isArray(current) && !MongoObject.isTraversableObject(current)) break;
+  }
+
+  return formatPosition(pieces);
+}
+
+// Returns a function that undoes setting or removing the value at `pieces`
+// within `obj` in place. It restores the property of the deepest existing
+// container that the change replaces or adds, along with the length of an
+// array that setting lengthens.
+function restorerFor(obj, pieces) {
+  let container = obj;
+  let i = 0;
+  while (i < pieces.length - 1 && (Array.isArray(container[pieces[i]]) || MongoObject.isTraversableObject(container[pieces[i]]))) {
+    container = container[pieces[i]];
+    i++;
+  }
+
+  const key = pieces[i];
+  const hadKey = Object.prototype.hasOwnProperty.call(container, key);
+  const oldValue = container[key];
+  const oldLength = container.length;
+  return () => {
+    if (hadKey) {
+      container[key] = oldValue;
+    } else {
+      delete container[key];
+    }
+
+    if (Array.isArray(container)) container.length = oldLength;
+  };
+}
+
+// Lists the indexes of removed items in each array within `value`, outer
+// arrays first. The position of a root array, such as an update pipeline,
+// is null.
+function findRemovedItems(value, position, removedItems = []) {
+  if (Array.isArray(value)) {
+    const indexes = [];
+    value.forEach((item, index) => {
+      if (item === REMOVED_MARKER) indexes.push(index);
+    });
+    if (indexes.length) removedItems.push({ position, indexes });
+  }
+
+  _.each(value, (item, key) => {
+    if (Array.isArray(item) || MongoObject.isTraversableObject(item)) {
+      findRemovedItems(item, appendSegment(position, key), removedItems);
+    }
+  });
+
+  return removedItems;
+}
+
+/* POSITIONAL OPERATORS */
+
+// Returns info about a piece of a key if it is a positional operator
+function parsePositionalPiece(piece) {
+  if (piece === '$') return { operator: piece, type: 'positional', identifier: null };
+  if (piece === '$[]') return { operator: piece, type: 'allPositional', identifier: null };
+  const match = /^\$\[([a-z][a-zA-Z0-9]*)\]$/.exec(piece);
+  if (match) return { operator: piece, type: 'filteredPositional', identifier: match[1] };
+  return null;
+}
+
+// Replaces the positional operators in a key with the array indexes they
+// refer to in `doc`, returning every key that results
+function resolvePositionalKey(doc, key, arrayFilters, selector) {
+  let resolvedKeys = [[]];
+  for (const piece of key.split('.')) {
+    const positionalOperator = parsePositionalPiece(piece);
+    if (!positionalOperator) {
+      resolvedKeys = resolvedKeys.map((pieces) => pieces.concat(piece));
+    } else {
+      resolvedKeys = _.flatMap(resolvedKeys, (pieces) => {
+        const arrayKey = pieces.join('.');
+        const array = _.get(doc, pieces);
+        if (!Array.isArray(array)) {
+          throw new Error(`The path '${arrayKey}' must be an array to use the positional operator ${piece} in '${key}'`);
+        }
+
+        const indexes = matchingArrayIndexes(array, positionalOperator, arrayKey, key, arrayFilters, selector);
+        return indexes.map((index) => pieces.concat(`${index}`));
+      });
+    }
+  }
+
+  return resolvedKeys.map((pieces) => pieces.join('.'));
+}
+
+function matchingArrayIndexes(array, positionalOperator, arrayKey, key, arrayFilters, selector) {
+  const indexes = _.range(array.length);
+  const { type, identifier } = positionalOperator;
+
+  if (type === 'allPositional') return indexes;
+
+  if (type === 'filteredPositional') {
+    const filters = arrayFilters.filter((filter) => (
+      Object.keys(filter).some((filterKey) => filterKey.split('.')[0] === identifier)
+    ));
+    if (!filters.length) throw new Error(`No array filter found for identifier '${identifier}' in '${key}'`);
+    return indexes.filter((index) => filters.every((filter) => documentMatches({ [identifier]: array[index] }, filter)));
+  }
+
+  if (!selector) throw new Error(`The positional operator '$' in '${key}' requires a selector`);
+  const index = _.findIndex(array, (item) => itemMatchesSelector(item, arrayKey, selector));
+  if (index === -1) throw new Error(`The positional operator '$' in '${key}' did not find a match in the selector`);
+  return [index];
+}
+
+// True if the selector has conditions for the items of the array at
+// `arrayKey` and the item meets them
+function itemMatchesSelector(item, arrayKey, selector) {
+  let hasConditions = false;
+  const matches = _.every(selector, (condition, selectorKey) => {
+    if (selectorKey === arrayKey) {
+      hasConditions = true;
+      if (MongoObject.isBasicObject(condition) && condition.$elemMatch) return elemMatches(item, condition.$elemMatch);
+      return valuesMatch([item], condition);
+    }
+
+    if (selectorKey.substring(0, arrayKey.length + 1) === `${arrayKey}.`) {
+      hasConditions = true;
+      return documentMatches(item, { [selectorKey.slice(arrayKey.length + 1)]: condition });
+    }
+
+    return true;
+  });
+  return hasConditions && matches;
+}
+
+/* UPDATE OPERATORS */
+
+function isModifier(modifier) {
+  return _.some(Object.keys(modifier || {}), (key) => key.substring(0, 1) === '$');
+}
+
+/* MERGING MODIFIERS */
+
+// Operators that write a value without reading the current one
+const WRITE_ONLY_OPERATORS = ['$set', '$unset', '$currentDate'];
+
+// Lists each key changed by a modifier as {operator, key, value}
+function modifierEntries(modifier) {
+  const entries = [];
+  _.each(modifier, (fields, operator) => {
+    if (operator.substring(0, 1) !== '$') {
+      throw new Error('A modifier may not mix update operators and plain fields');
+    }
+
+    _.each(fields, (value, key) => {
+      entries.push({ operator, key, value: MongoObject.clone(value) });
+    });
+  });
+  return entries;
+}
+
+function entriesToModifier(entries) {
+  const modifier = {};
+  for (const entry of entries) {
+    modifier[entry.operator] = modifier[entry.operator] || {};
+    modifier[entry.operator][entry.key] = entry.value;
+  }
+
+  return modifier;
+}
+
+function entriesOverlap(entry, other) {
+  return keysConflict(entry.key, other.key) ||
+    (entry.operator === '$rename' && keysConflict(entry.value, other.key)) ||
+    (other.operator === '$rename' && keysConflict(entry.key, other.value));
+}
+
+function mergeConflictError(previous, next) {
+  const error = new Error(`Cannot merge ${next.operator} of '${next.key}' into a modifier that uses ${previous.operator} on '${previous.key}'`);
+  error.keys = _.uniq([previous.key, next.key]);
+  return error;
+}
+
+// Applies `next` to `value`, where `relativeKey` is the key of `next`
+// relative to the key that `value` is stored at
+function applyEntryToValue(value, relativeKey, next) {
+  const doc = value === undefined ? {} : { value };
+  const key = relativeKey ? `value.${relativeKey}` : 'value';
+  return MongoObject.applyModifier(doc, { [next.operator]: { [key]: next.value } }).value;
+}
+
+// Folds the change in `next` into the value that `previous` sets, if
+// `previous` sets or unsets a value
+function foldEntry(previous, next, relativeKey) {
+  if (next.operator === '$currentDate' || (previous.operator !== '$set' && previous.operator !== '$unset')) {
+    throw mergeConflictError(previous, next);
+  }
+
+  let value;
+  try {
+    value = applyEntryToValue(previous.operator === '$set' ? previous.value : undefined, relativeKey, next);
+  } catch (error) {
+    throw mergeConflictError(previous, next);
+  }
+
+  if (value === undefined) return { operator: '$unset', key: previous.key, value: '' };
+  return { operator: '$set', key: previous.key, value };
+}
+
+function mergeDescendantEntry(previous, next) {
+  return foldEntry(previous, next, next.key.slice(previous.key.length + 1));
+}
+
+function mergeSameKeyEntries(previous, next) {
+  const { operator, key } = next;
+  if (WRITE_ONLY_OPERATORS.indexOf(operator) > -1) return next;
+
+  if (operator === '$setOnInsert') {
+    // Only equivalent when both would happen on insert only
+    if (previous.operator === '$setOnInsert') return next;
+    throw mergeConflictError(previous, next);
+  }
+
+  if (previous.operator === operator) {
+    switch (operator) {
+      case '$inc':
+        return { operator, key, value: previous.value + next.value };
+      case '$mul':
+        return { operator, key, value: previous.value * next.value };
+      case '$min':
+        return compareValues(next.value, previous.value) < 0 ? next : previous;
+      case '$max':
+        return compareValues(next.value, previous.value) > 0 ? next : previous;
+      case '$push': {
+        const previousOptions = pushOptions(previous.value);
+        const nextOptions = pushOptions(next.value);
+        if (_.some(PUSH_MODIFIERS, (option) => option in previousOptions) || '$position' in nextOptions) {
+          throw mergeConflictError(previous, next);
+        }
+
+        return { operator, key, value: _.assign({}, nextOptions, { $each: previousOptions.$each.concat(nextOptions.$each) }) };
+      }
+
+      case '$addToSet':
+        return {
+          operator,
+          key,
+          value: { $each: _.uniqWith(pushOptions(previous.value).$each.concat(pushOptions(next.value).$each), MongoObject.isEqual) },
+        };
+      case '$pullAll':
+        return { operator, key, value: _.uniqWith(previous.value.concat(next.value), MongoObject.isEqual) };
+      default:
+    }
+  }
+
+  // Two $pull or $pullAll of plain values can be combined into one $pullAll
+  const pulledValues = (entry) => {
+    if (entry.operator === '$pullAll') return entry.value;
+    if (entry.operator === '$pull' && !MongoObject.isBasicObject(entry.value)) return [entry.value];
+  };
+
+  const previousPulled = pulledValues(previous);
+  const nextPulled = pulledValues(next);
+  if (previousPulled && nextPulled) {
+    return { operator: '$pullAll', key, value: _.uniqWith(previousPulled.concat(nextPulled), MongoObject.isEqual) };
+  }
+
+  return foldEntry(previous, next, '');
+}
+
+// Normalizes a $push or $addToSet value to the form that uses $each
+function pushOptions(value) {
+  if (MongoObject.isBasicObject(value) && '$each' in value) return value;
+  return { $each: [value] };
+}
+
+// Returns the value for a non-generic key in the MongoObject, or undefined
+function getValueForKey(mDoc, key) {
+  return mDoc.getValueForPosition(MongoObject._keyToPosition(key));
+}
+
+// Throws if a value can't be written to `key` because an ancestor is
+// something other than an object or array
+function assertKeyIsWritable(mDoc, key) {
+  const pieces = key.split('.');
+  let current = mDoc.getObject();
+  for (let i = 0; i < pieces.length - 1; i++) {
+    current = current[pieces[i]];
+    if (current === undefined) return;
+    if (!Array.isArray(current) && !MongoObject.isTraversableObject(current)) {
+      throw new Error(`Cannot create field '${pieces[i + 1]}' in element '${pieces.slice(0, i + 1).join('.')}' of type ${typeOfValue(current)}`);
+    }
+  }
+}
+
+function setValueForKey(mDoc, key, value) {
+  assertKeyIsWritable(mDoc, key);
+  mDoc.setValueForPosition(MongoObject._keyToPosition(key), value);
+}
+
+// Returns the array at `key`, a new empty array if there is nothing there,
+// or throws if there is something other than an array there.
+function getArrayForKey(mDoc, key, operator) {
+  const current = getValueForKey(mDoc, key);
+  if (current === undefined) return [];
+  if (!Array.isArray(current)) {
+    throw new Error(`Cannot apply ${operator} to '${key}' because it is of type ${typeOfValue(current)}, not array`);
+  }
+
+  return current.slice();
+}
+
+function assertNumber(value, operator, key) {
+  if (typeof value !== 'number') {
+    throw new Error(`Cannot ${operator} '${key}' by a value of type ${typeOfValue(value)}`);
+  }
+}
+
+function applySet(mDoc, key, value) {
+  setValueForKey(mDoc, key, MongoObject.clone(value));
+}
+
+function applyUnset(mDoc, key) {
+  const position = MongoObject._keyToPosition(key);
+  if (mDoc.getValueForPosition(position) === undefined) return;
+
+  // MongoDB sets array items to null rather than removing them
+  const lastBracket = position.lastIndexOf('[');
+  if (lastBracket > 0 && Array.isArray(mDoc.getValueForPosition(position.slice(0, lastBracket)))) {
+    mDoc.setValueForPosition(position, null);
+  } else {
+    mDoc.removeValueForPosition(position);
+  }
+}
+
+function applyArithmetic(mDoc, key, operand, operator, initial, combine) {
+  assertNumber(operand, operator, key);
+  const current = getValueForKey(mDoc, key);
+  if (current === undefined) {
+    setValueForKey(mDoc, key, initial);
+  } else if (typeof current !== 'number') {
+    throw new Error(`Cannot apply ${operator} to '${key}' because it is of type ${typeOfValue(current)}`);
+  } else {
+    setValueForKey(mDoc, key, combine(current));
+  }
+}
+
+function applyInc(mDoc, key, amount) {
+  applyArithmetic(mDoc, key, amount, '$inc', amount, (current) => current + amount);
+}
+
+function applyMul(mDoc, key, factor) {
+  applyArithmetic(mDoc, key, factor, '$mul', 0, (current) => current * factor);
+}
+
+function applyMin(mDoc, key, value) {
+  const current = getValueForKey(mDoc, key);
+  if (current === undefined || compareValues(value, current) < 0) applySet(mDoc, key, value);
+}
+
+function applyMax(mDoc, key, value) {
+  const current = getValueForKey(mDoc, key);
+  if (current === undefined || compareValues(value, current) > 0) applySet(mDoc, key, value);
+}
+
+function applyRename(mDoc, key, newKey) {
+  if (typeof newKey !== 'string' || !newKey.length) {
+    throw new Error(`The $rename target for '${key}' must be a non-empty string`);
+  }
+
+  const value = getValueForKey(mDoc, key);
+  if (value === undefined) return;
+  mDoc.removeValueForPosition(MongoObject._keyToPosition(key));
+  setValueForKey(mDoc, newKey, value);
+}
+
+function applyCurrentDate(mDoc, key, spec) {
+  // BSON timestamps can't be represented, so both types produce a Date
+  if (spec !== true && !(MongoObject.isBasicObject(spec) && (spec.$type === 'date' || spec.$type === 'timestamp'))) {
+    throw new Error(`Invalid $currentDate value for '${key}'`);
+  }
+
+  setValueForKey(mDoc, key, new Date());
+}
+
+function applyPush(mDoc, key, arg) {
+  let array = getArrayForKey(mDoc, key, '$push');
+  const hasEach = MongoObject.isBasicObject(arg) && '$each' in arg;
+  const items = MongoObject.clone(hasEach ? arg.$each : [arg]);
+
+  if (hasEach && arg.$position !== undefined) {
+    const position = arg.$position < 0 ? Math.max(array.length + arg.$position, 0) : arg.$position;
+    array.splice(position, 0, ...items);
+  } else {
+    array = array.concat(items);
+  }
+
+  if (hasEach && arg.$sort !== undefined) array = sortArray(array, arg.$sort);
+  if (hasEach && arg.$slice !== undefined) array = sliceArray(array, arg.$slice);
+  setValueForKey(mDoc, key, array);
+}
+
+function applyAddToSet(mDoc, key, arg) {
+  const array = getArrayForKey(mDoc, key, '$addToSet');
+  const items = MongoObject.isBasicObject(arg) && '$each' in arg ? arg.$each : [arg];
+  for (const item of items) {
+    if (!array.some((existing) => MongoObject.isEqual(existing, item))) array.push(MongoObject.clone(item));
+  }
+
+  setValueForKey(mDoc, key, array);
+}
+
+function applyPull(mDoc, key, condition) {
+  if (getValueForKey(mDoc, key) === undefined) return;
+  const array = getArrayForKey(mDoc, key, '$pull');
+  setValueForKey(mDoc, key, array.filter((item) => !pullConditionMatches(item, condition)));
+}
+
+function applyPullAll(mDoc, key, values) {
+  if (!Array.isArray(values)) throw new Error(`The $pullAll value for '${key}' must be an array`);
+  if (getValueForKey(mDoc, key) === undefined) return;
+  const array = getArrayForKey(mDoc, key, '$pullAll');
+  setValueForKey(mDoc, key, array.filter((item) => !values.some((value) => MongoObject.isEqual(item, value))));
+}
+
+function applyPop(mDoc, key, direction) {
+  if (direction !== 1 && direction !== -1) throw new Error(`The $pop value for '${key}' must be 1 or -1`);
+  if (getValueForKey(mDoc, key) === undefined) return;
+  const array = getArrayForKey(mDoc, key, '$pop');
+  setValueForKey(mDoc, key, direction === 1 ? array.slice(0, -1) : array.slice(1));
+}
+
+// $pull conditions are either values, operator expressions applied to each
+// item, or queries applied to each item that is a document
+function pullConditionMatches(item, condition) {
+  if (!MongoObject.isBasicObject(condition)) return MongoObject.isEqual(item, condition);
+  if (isOperatorObject(condition)) return valuesMatch([item], condition);
+  return MongoObject.isBasicObject(item) && documentMatches(item, condition);
+}
+
+function sortArray(array, spec) {
+  if (spec === 1 || spec === -1) {
+    return array.slice().sort((a, b) => spec * compareValues(a, b));
+  }
+
+  if (!MongoObject.isBasicObject(spec)) throw new Error('The $sort value must be 1, -1 or an object');
+  return array.slice().sort((a, b) => {
+    for (const field of Object.keys(spec)) {
+      const result = compareValues(_.get(a, field), _.get(b, field));
+      if (result !== 0) return spec[field] * result;
+    }
+
+    return 0;
+  });
+}
+
+function sliceArray(array, count) {
+  if (count < 0) return array.slice(Math.max(array.length + count, 0));
+  return array.slice(0, count);
+}
+
+// Sort order of BSON types, as used when MongoDB compares values of different types
+function typeSortOrder(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  if (value instanceof RegExp) return 11;
+  return 4;
+}
+
+// Compares two values the way MongoDB does when sorting. Returns a negative
+// number, zero or a positive number.
+function compareValues(a, b) {
+  const typeDifference = typeSortOrder(a) - typeSortOrder(b);
+  if (typeDifference !== 0) return typeDifference;
+
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = compareValues(a[i], b[i]);
+      if (result !== 0) return result;
+    }
+
+    return a.length - b.length;
+  }
+
+  if (typeof a === 'object' && a !== null && !(a instanceof RegExp)) {
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    for (let i = 0; i < Math.min(aKeys.length, bKeys.length); i++) {
+      const result = compareValues(aKeys[i], bKeys[i]) || compareValues(a[aKeys[i]], b[bKeys[i]]);
+      if (result !== 0) return result;
+    }
+
+    return aKeys.length - bKeys.length;
+  }
+
+  if (a instanceof RegExp) return compareValues(a.toString(), b.toString());
+  if (a === b || a === null || a === undefined) return 0;
+  return a < b ? -1 : 1;
+}
+
+function typeOfValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+/* FIELD NAMES */
+
+// Problems a stored field name can have, as reported by MongoObject.validateFieldNames
+const FIELD_NAME_RULES = [
+  { code: 'EMPTY_FIELD_NAME', test: (key) => key === '', problem: 'must not be empty' },
+  { code: 'DOLLAR_FIELD_NAME', test: (key) => key.substring(0, 1) === '$', problem: "must not start with '$'" },
+  { code: 'DOTTED_FIELD_NAME', test: (key) => key.indexOf('.') > -1, problem: "must not contain '.'" },
+  { code: 'NULL_CHARACTER', test: (key) => key.indexOf('\u0000') > -1, problem: 'must not contain the null character' },
+];
+
+// Named schemes for MongoObject.escapeKeys
+const KEY_ESCAPE_SCHEMES = {
+  percent: {
+    escape: (key) => key.replace(/%/g, '%25').replace(/\./g, '%2E').split('\u0000').join('%00').replace(/^\$/, '%24'),
+    unescape: (key) => key.replace(/%(25|2E|24|00)/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  },
+};
+
+function resolveKeyEscapeScheme(scheme) {
+  const resolved = typeof scheme === 'string' ? KEY_ESCAPE_SCHEMES[scheme] : scheme;
+  if (!resolved || typeof resolved.escape !== 'function' || typeof resolved.unescape !== 'function') {
+    throw new Error(`Invalid key escape scheme ${scheme}. Pass 'percent' or an object with escape and unescape functions.`);
+  }
+
+  return resolved;
+}
+
+// Adds the errors for the field names of objects within `value` to `errors`.
+// Objects are walked by their own keys, since user maps may have a `length`
+// key that lodash would take to mean an array-like object.
+function validateFieldNamesWithin(value, errors, walk) {
+  if (!Array.isArray(value) && !MongoObject.isTraversableObject(value)) return;
+  checkStructure(value, walk);
+
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => validateFieldNamesWithin(item, errors, withinValue(value, i, walk)));
+    return;
+  }
+
+  Object.keys(value).forEach((key) => {
+    const within = withinValue(value, key, walk);
+    const position = formatPosition(within.pieces);
+    FIELD_NAME_RULES.forEach(({ code, test, problem }) => {
+      if (test(key)) errors.push({ code, field: key, position, message: `The field name '${key}' ${problem}` });
+    });
+    validateFieldNamesWithin(value[key], errors, within);
+  });
+}
+
+// Copies `value`, passing the keys of objects within it through `transform`
+function transformKeysWithin(value, transform, walk) {
+  if (!Array.isArray(value) && !MongoObject.isTraversableObject(value)) return value;
+  checkStructure(value, walk);
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => transformKeysWithin(item, transform, withinValue(value, i, walk)));
+  }
+
+  const newObj = MongoObject.isBasicObject(value) ? {} : Object.create(Object.getPrototypeOf(value));
+  Object.keys(value).forEach((key) => {
+    newObj[transform(key)] = transformKeysWithin(value[key], transform, withinValue(value, key, walk));
+  });
+
+  return newObj;
+}
+
+// Returns the affected key for `position` in `mDoc` with the pieces that
+// are keys of objects in the document escaped. Under an operator, the
+// field path and an $each are left as they are.
+function escapedKeyForPosition(mDoc, position, scheme) {
+  const affectedKey = mDoc._affectedKeys[position];
+  let docPieces = parsePosition(position);
+  if (extractOp(position, mDoc._isPipeline)) {
+    docPieces = docPieces.slice(mDoc._isPipeline ? 3 : 2);
+    if (docPieces[0] === '$each') docPieces = docPieces.slice(1);
+  }
+
+  const suffix = docPieces.join('.');
+  if (affectedKey.substring(affectedKey.length - suffix.length) !== suffix) return affectedKey;
+  return affectedKey.substring(0, affectedKey.length - suffix.length) + docPieces.map(scheme.escape).join('.');
+}
+
+/* UPSERTS */
+
+// Collects the `{key, value}` fields that a selector matches by equality
+function selectorEqualityFields(selector, fields) {
+  _.each(selector, (value, key) => {
+    if (key === '$and' || (key === '$or' && Array.isArray(value) && value.length === 1)) {
+      for (const clause of value) {
+        selectorEqualityFields(clause, fields);
+      }
+    } else if (key.substring(0, 1) === '$' || _.isRegExp(value)) {
+      return;
+    } else if (MongoObject.isBasicObject(value) && isOperatorObject(value)) {
+      if ('$eq' in value) {
+        fields.push({ key, value: value.$eq });
+      } else if (Array.isArray(value.$in) && value.$in.length === 1) {
+        fields.push({ key, value: value.$in[0] });
+      }
+    } else {
+      fields.push({ key, value });
+    }
+  });
+
+  return fields;
+}
+
+// Throws if an update to a key can't be made to the fields set from the selector
+function assertUpsertKeyAllowed({ operator, key, arg }, fields) {
+  if (operator === '$unset') return;
+
+  if (MongoObject.getPositionalOperators(key).length) {
+    throw new Error(`Cannot upsert with the positional operator in '${key}'`);
+  }
+
+  for (const field of fields) {
+    if (field.key === '_id' && key === '_id' && !MongoObject.isEqual(arg, field.value)) {
+      throw upsertConflictError('Cannot change the _id that the selector matches', ['_id']);
+    }
+
+    if (key.substring(0, field.key.length + 1) === `${field.key}.` &&
+      !Array.isArray(field.value) && !MongoObject.isTraversableObject(field.value)) {
+      throw upsertConflictError(`Cannot update '${key}' because the selector matches '${field.key}' with a value of type ${typeOfValue(field.value)}`, [field.key, key]);
+    }
+  }
+}
+
+function upsertConflictError(message, keys) {
+  const error = new Error(message);
+  error.keys = keys;
+  return error;
+}
+
+/* JSON PATCH */
+
+function isArrayIndex(segment) {
+  return /^(0|[1-9][0-9]*)$/.test(segment);
+}
+
+// Converts a key in dot notation to a JSON Pointer, e.g. 'a.0.b~c' -> '/a/0/b~0c'
+function keyToPointer(key) {
+  return parsePosition(MongoObject._keyToPosition(key, true))
+    .slice(1)
+    .map((segment) => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+// Converts a JSON Pointer to a key in dot notation
+function pointerToKey(pointer) {
+  if (typeof pointer !== 'string' || pointer.substring(0, 1) !== '/') {
+    throw new Error(`Invalid JSON Pointer ${JSON.stringify(pointer)}`);
+  }
+
+  const segments = pointer.substring(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  for (const segment of segments) {
+    if (segment === '' || segment.indexOf('.') > -1 || segment.substring(0, 1) === '$') {
+      throw new Error(`The key '${segment}' in ${pointer} can't be used in a modifier`);
+    }
+  }
+
+  return segments.join('.');
+}
+
+function getValueForPath(doc, segments) {
+  return segments.length ? _.get(doc, segments) : doc;
+}
+
+// Returns JSON Patch operations that change `segments` in `doc` to match `newDoc`
+function patchForChangedKey(doc, newDoc, segments) {
+  let target = segments;
+
+  // Write the first missing ancestor as a whole
+  for (let i = 1; i < segments.length; i++) {
+    const ancestor = getValueForPath(doc, segments.slice(0, i));
+    if (!Array.isArray(ancestor) && !MongoObject.isTraversableObject(ancestor)) {
+      target = segments.slice(0, i);
+      break;
+    }
+  }
+
+  const oldValue = getValueForPath(doc, target);
+  const newValue = getValueForPath(newDoc, target);
+  const parent = getValueForPath(doc, target.slice(0, -1));
+  const path = keyToPointer(target.join('.'));
+
+  if (newValue === undefined) return oldValue === undefined ? [] : [{ op: 'remove', path }];
+  if (MongoObject.isEqual(oldValue, newValue)) return [];
+
+  // Items can only be added at the end of an array, so replace the whole array
+  if (oldValue === undefined && Array.isArray(parent) && Number(_.last(target)) !== parent.length) {
+    return patchForChangedKey(doc, newDoc, target.slice(0, -1));
+  }
+
+  return [{ op: oldValue === undefined ? 'add' : 'replace', path, value: newValue }];
+}
+
+// Returns JSON Patch operations for a $rename of `key` to `newKey`
+function renamePatch(doc, key, newKey) {
+  const path = keyToPointer(key);
+  const move = { op: 'move', from: path, path: keyToPointer(newKey) };
+  if (!doc) return [move];
+  if (getValueForPath(doc, key.split('.')) === undefined) return [];
+
+  // The parent of the new key must exist for a move
+  const newSegments = newKey.split('.');
+  if (MongoObject.isTraversableObject(getValueForPath(doc, newSegments.slice(0, -1)))) return [move];
+
+  const withoutKey = MongoObject.applyModifier(doc, { $unset: { [key]: '' } });
+  const newDoc = MongoObject.applyModifier(doc, { $rename: { [key]: newKey } });
+  return [{ op: 'remove', path }].concat(patchForChangedKey(withoutKey, newDoc, newSegments));
+}
+
+function patchExportError(operator, key, reason) {
+  const error = new Error(`Cannot convert ${operator} of '${key}' to JSON Patch because ${reason}`);
+  error.operator = operator;
+  error.key = key;
+  return error;
+}
+
+// Converts one JSON Patch operation to a modifier
+function patchOperationToModifier(operation) {
+  const { op, path, from } = operation || {};
+  if (path === '') {
+    if (op !== 'replace') throw new Error(`The whole document can't be the target of ${op}`);
+    if (!MongoObject.isBasicObject(operation.value)) throw new Error('The whole document can only be replaced with an object');
+    return MongoObject.clone(operation.value);
+  }
+
+  const value = MongoObject.clone(operation.value);
+  const segments = typeof path === 'string' ? path.split('/') : [];
+  const last = _.last(segments);
+  const parentPath = segments.slice(0, -1).join('/');
+
+  switch (op) {
+    case 'add':
+      if (last === '-') return { $push: { [pointerToKey(parentPath)]: value } };
+      if (isArrayIndex(last)) return { $push: { [pointerToKey(parentPath)]: { $each: [value], $position: Number(last) } } };
+      return { $set: { [pointerToKey(path)]: value } };
+    case 'replace':
+      return { $set: { [pointerToKey(path)]: value } };
+    case 'remove':
+      if (isArrayIndex(last)) throw new Error(`Removing the array item at ${path} can't be expressed in a modifier`);
+      return { $unset: { [pointerToKey(path)]: '' } };
+    case 'move':
+      for (const pointer of [from, path]) {
+        if (typeof pointer === 'string' && (isArrayIndex(_.last(pointer.split('/'))) || _.last(pointer.split('/')) === '-')) {
+          throw new Error(`Moving array items, as at ${pointer}, can't be expressed in a modifier`);
+        }
+      }
+
+      return { $rename: { [pointerToKey(from)]: pointerToKey(path) } };
+    case 'copy':
+    case 'test':
+      throw new Error(`The ${op} operation can't be expressed in a modifier`);
+    default:
+      throw new Error(`Unknown JSON Patch operation ${JSON.stringify(op)}`);
+  }
+}
+
+/* PROJECTIONS */
+
+const PROJECTION_OPERATORS = ['$slice', '$elemMatch'];
+
+// Flattens a projection into a list of `{key, value}` entries, where the
+// value is true to include the key, false to exclude it, or a $slice or
+// $elemMatch operator object, and collects any validation errors
+function parseProjection(projection) {
+  const entries = [];
+  const errors = [];
+
+  function addError(code, key, message) {
+    errors.push({ code, key, message });
+  }
+
+  function addEntries(fields, prefix) {
+    _.each(fields, (value, field) => {
+      const key = prefix ? `${prefix}.${field}` : field;
+      const pieces = key.split('.');
+      if (pieces.some((piece) => piece === '')) {
+        addError('EMPTY_FIELD_NAME', key, `The field name '${key}' must not be empty or contain empty pieces`);
+      } else if (pieces.some((piece) => piece.substring(0, 1) === '$')) {
+        addError('DOLLAR_FIELD_NAME', key, `The field name '${key}' must not contain pieces that start with '$'`);
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        entries.push({ key, value: !!value });
+      } else if (!MongoObject.isBasicObject(value) || _.isEmpty(value)) {
+        addError('INVALID_ARGUMENT', key, `The projection of '${key}' must be a number, a boolean or an object`);
+      } else if (!isOperatorObject(value)) {
+        if (Object.keys(value).some((subfield) => subfield.substring(0, 1) === '$')) {
+          addError('INVALID_ARGUMENT', key, `The projection of '${key}' must not mix operators and fields`);
+        } else {
+          addEntries(value, key);
+        }
+      } else {
+        const operator = Object.keys(value)[0];
+        const operand = value[operator];
+        if (PROJECTION_OPERATORS.indexOf(operator) === -1) {
+          addError('UNKNOWN_OPERATOR', key, `Unknown projection operator ${operator}`);
+        } else if (Object.keys(value).length > 1) {
+          addError('INVALID_ARGUMENT', key, `The projection of '${key}' must have only one operator`);
+        } else if (operator === '$slice' && !isSliceArgument(operand)) {
+          addError('INVALID_ARGUMENT', key, `The $slice projection of '${key}' must be a number or a [skip, limit] pair with a positive limit`);
+        } else if (operator === '$elemMatch' && !MongoObject.isBasicObject(operand)) {
+          addError('INVALID_ARGUMENT', key, `The $elemMatch projection of '${key}' must be an object`);
+        } else if (operator === '$elemMatch' && pieces.length > 1) {
+          addError('INVALID_ARGUMENT', key, `The $elemMatch projection of '${key}' must be on a top-level field`);
+        } else {
+          entries.push({ key, value });
+        }
+      }
+    });
+  }
+
+  if (!MongoObject.isBasicObject(projection)) {
+    addError('INVALID_ARGUMENT', null, 'A projection must be an object');
+    return { entries, errors, isInclusion: false };
+  }
+
+  addEntries(projection, null);
+
+  // Only `_id` may be excluded from an inclusion projection, or included in
+  // an exclusion projection. $slice is allowed in either.
+  const fieldEntries = entries.filter((entry) => entry.key !== '_id');
+  const included = fieldEntries.filter((entry) => entry.value === true || (entry.value && entry.value.$elemMatch));
+  const excluded = fieldEntries.filter((entry) => entry.value === false);
+  if (included.length && excluded.length) {
+    const { key } = entries.indexOf(included[0]) < entries.indexOf(excluded[0]) ? excluded[0] : included[0];
+    addError('MIXED_INCLUSION_EXCLUSION', key, `Cannot both include and exclude fields, as '${key}' does`);
+  }
+
+  entries.forEach((entry, i) => {
+    const other = _.find(entries.slice(0, i), (previous) => keysConflict(entry.key, previous.key));
+    if (other) addError('PATH_COLLISION', entry.key, `Projecting '${entry.key}' collides with projecting '${other.key}'`);
+  });
+
+  // A projection of only `_id`, such as `{_id: 1}`, includes just that
+  const includesOnlyId = !excluded.length && _.some(entries, { key: '_id', value: true });
+  return { entries, errors, isInclusion: included.length > 0 || includesOnlyId };
+}
+
+// Parses a projection, throwing if it isn't valid
+function parseValidProjection(projection) {
+  const parsed = parseProjection(projection);
+  if (parsed.errors.length) {
+    const error = new Error(parsed.errors[0].message);
+    error.errors = parsed.errors;
+    throw error;
+  }
+
+  return parsed;
+}
+
+function isSliceArgument(operand) {
+  if (Array.isArray(operand)) {
+    return operand.length === 2 && operand.every(_.isInteger) && operand[1] > 0;
+  }
+
+  return _.isInteger(operand);
+}
+
+// Nests projection entries by the pieces of their keys, so that
+// `{'a.b': 1}` becomes `{a: {b: true}}`
+function projectionTree(entries) {
+  const tree = {};
+  for (const { key, value } of entries) {
+    const pieces = key.split('.');
+    const parent = pieces.slice(0, -1).reduce((node, piece) => {
+      if (!_.has(node, piece)) node[piece] = {};
+      return node[piece];
+    }, tree);
+    parent[pieces[pieces.length - 1]] = value;
+  }
+
+  return tree;
+}
+
+// Tests whether a projection tree node is a $slice or $elemMatch operator
+// object rather than a tree of keys within a field
+function isProjectionOperator(node) {
+  return node !== true && node !== false && isOperatorObject(node);
+}
+
+function canProjectWithin(value) {
+  return Array.isArray(value) || MongoObject.isBasicObject(value);
+}
+
+function projectIncluded(value, tree) {
+  // Only documents and nested arrays remain in arrays projected by key
+  if (Array.isArray(value)) {
+    return value.filter(canProjectWithin).map((item) => projectIncluded(item, tree));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((field) => {
+    if (!_.has(tree, field)) return;
+    const fieldValue = value[field];
+    const node = tree[field];
+
+    let projected;
+    if (node === true) {
+      projected = MongoObject.clone(fieldValue);
+    } else if (isProjectionOperator(node)) {
+      projected = applyProjectionOperator(fieldValue, node);
+    } else if (canProjectWithin(fieldValue)) {
+      projected = projectIncluded(fieldValue, node);
+    }
+
+    if (projected !== undefined) result[field] = projected;
+  });
+
+  return result;
+}
+
+function projectExcluded(value, tree) {
+  if (Array.isArray(value)) {
+    return value.map((item) => (canProjectWithin(item) ? projectExcluded(item, tree) : MongoObject.clone(item)));
+  }
+
+  const result = {};
+  Object.keys(value).forEach((field) => {
+    const fieldValue = value[field];
+    const node = _.has(tree, field) ? tree[field] : true;
+    if (node === false) return;
+
+    let projected;
+    if (node === true || !canProjectWithin(fieldValue)) {
+      projected = MongoObject.clone(fieldValue);
+    } else if (isProjectionOperator(node)) {
+      projected = applyProjectionOperator(fieldValue, node);
+    } else {
+      projected = projectExcluded(fieldValue, node);
+    }
+
+    if (projected !== undefined) result[field] = projected;
+  });
+
+  return result;
+}
+
+// Applies a $slice or $elemMatch projection to a field value
+function applyProjectionOperator(value, { $slice: slice, $elemMatch: condition }) {
+  if (condition) {
+    if (!Array.isArray(value)) return undefined;
+    const match = _.find(value, (item) => elemMatches(item, condition));
+    return match === undefined ? undefined : [MongoObject.clone(match)];
+  }
+
+  if (!Array.isArray(value)) return MongoObject.clone(value);
+
+  let start;
+  let end;
+  if (Array.isArray(slice)) {
+    start = slice[0] < 0 ? Math.max(value.length + slice[0], 0) : slice[0];
+    end = start + slice[1];
+  } else {
+    start = slice < 0 ? Math.max(value.length + slice, 0) : 0;
+    end = slice < 0 ? value.length : slice;
+  }
+
+  return MongoObject.clone(value.slice(start, end));
+}
+
+/* UPDATE PIPELINES */
+
+// Tests whether `obj` is an update pipeline: a non-empty array of stages,
+// each an object with a pipeline stage operator as its key. Stages and keys
+// that have been removed are allowed.
+function isPipeline(obj) {
+  return Array.isArray(obj) && obj.length > 0 && obj.every((stage) => stage === REMOVED_MARKER || (
+    MongoObject.isBasicObject(stage) && Object.keys(stage).length <= 1 &&
+    Object.keys(stage).every((operator) => operator in PIPELINE_STAGE_INFO)
+  ));
+}
+
+function isAggregationExpression(val) {
+  if (typeof val === 'string') return val.substring(0, 1) === '$';
+  return MongoObject.isBasicObject(val) && _.some(Object.keys(val), (key) => key.substring(0, 1) === '$');
+}
+
+// Returns the keys read by field paths within an aggregation expression
+function expressionReads(val) {
+  if (typeof val === 'string') {
+    const variableMatch = /^\$\$(?:ROOT|CURRENT)\.(.+)$/.exec(val);
+    if (variableMatch) return [variableMatch[1]];
+    return val.substring(0, 1) === '$' && val.substring(1, 2) !== '$' ? [val.substring(1)] : [];
+  }
+
+  if (!Array.isArray(val) && !MongoObject.isBasicObject(val)) return [];
+
+  return _.uniq(_.flatMap(Object.keys(val), (key) => (key === '$literal' ? [] : expressionReads(val[key]))));
+}
+
+/* QUERY MATCHING */
+
+// Type names and aliases accepted by $type, keyed by BSON type number
+const BSON_TYPE_ALIASES = {
+  1: 'double',
+  2: 'string',
+  3: 'object',
+  4: 'array',
+  5: 'binData',
+  6: 'undefined',
+  7: 'objectId',
+  8: 'bool',
+  9: 'date',
+  10: 'null',
+  11: 'regex',
+  13: 'javascript',
+  16: 'int',
+  18: 'long',
+  19: 'decimal',
+};
+
+function isOperatorObject(value) {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => key.substring(0, 1) === '$');
+}
+
+function documentMatches(doc, selector) {
+  return _.every(selector, (condition, key) => {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(condition) || !condition.length) {
+        throw new Error(`${key} requires a non-empty array of selectors`);
+      }
+
+      if (key === '$and') return condition.every((subSelector) => documentMatches(doc, subSelector));
+      const someMatch = condition.some((subSelector) => documentMatches(doc, subSelector));
+      return key === '$or' ? someMatch : !someMatch;
+    }
+
+    if (key.substring(0, 1) === '$') throw new Error(`Unsupported query operator ${key}`);
+    return valuesMatch(lookUpValues(doc, key.split('.')), condition);
+  });
+}
+
+// Returns every value that a dot-notation key refers to, descending into
+// the documents inside arrays along the way. A key that leads nowhere
+// produces a single undefined value.
+function lookUpValues(value, pieces) {
+  if (!pieces.length) return [value];
+  const [piece, ...rest] = pieces;
+
+  if (Array.isArray(value)) {
+    let values = [];
+    if (/^[0-9]+$/.test(piece)) values = values.concat(lookUpValues(value[piece], rest));
+    for (const item of value) {
+      if (MongoObject.isBasicObject(item)) values = values.concat(lookUpValues(item, pieces));
+    }
+
+    return values.length ? values : [undefined];
+  }
+
+  if (value !== null && typeof value === 'object') return lookUpValues(value[piece], rest);
+  return [undefined];
+}
+
+// True if the test passes for any of the values, or for any item in any
+// of the values that are arrays
+function someValueOrItem(values, test) {
+  return values.some((value) => test(value) || (Array.isArray(value) && value.some(test)));
+}
+
+function queryValueEquals(value, expected) {
+  if (expected === null) return value === null || value === undefined;
+  return MongoObject.isEqual(value, expected);
+}
+
+function equalityMatches(values, expected) {
+  if (expected instanceof RegExp) return someValueOrItem(values, (value) => regExpMatches(expected, value));
+  return someValueOrItem(values, (value) => queryValueEquals(value, expected));
+}
+
+function regExpMatches(regExp, value) {
+  if (value instanceof RegExp) return value.toString() === regExp.toString();
+  return typeof value === 'string' && regExp.test(value);
+}
+
+function valuesMatch(values, condition) {
+  if (!MongoObject.isBasicObject(condition) || !isOperatorObject(condition)) {
+    return equalityMatches(values, condition);
+  }
+
+  return _.every(condition, (operand, operator) => operatorMatches(values, operator, operand, condition));
+}
+
+function comparisonMatches(values, operand, test) {
+  return someValueOrItem(values, (value) => (
+    value !== undefined && typeSortOrder(value) === typeSortOrder(operand) && test(compareValues(value, operand))
+  ));
+}
+
+function operatorMatches(values, operator, operand, condition) {
+  switch (operator) {
+    case '$eq':
+      return equalityMatches(values, operand);
+    case '$ne':
+      return !equalityMatches(values, operand);
+    case '$gt':
+      return comparisonMatches(values, operand, (result) => result > 0);
+    case '$gte':
+      return comparisonMatches(values, operand, (result) => result >= 0);
+    case '$lt':
+      return comparisonMatches(values, operand, (result) => result < 0);
+    case '$lte':
+      return comparisonMatches(values, operand, (result) => result <= 0);
+    case '$in':
+      if (!Array.isArray(operand)) throw new Error('$in requires an array');
+      return operand.some((expected) => equalityMatches(values, expected));
+    case '$nin':
+      if (!Array.isArray(operand)) throw new Error('$nin requires an array');
+      return !operand.some((expected) => equalityMatches(values, expected));
+    case '$exists':
+      return values.some((value) => value !== undefined) === !!operand;
+    case '$type': {
+      const types = Array.isArray(operand) ? operand : [operand];
+      return someValueOrItem(values, (value) => types.some((type) => isOfBsonType(value, type)));
+    }
+
+    case '$regex': {
+      const regExp = operand instanceof RegExp && condition.$options === undefined ?
+        operand :
+        new RegExp(operand instanceof RegExp ? operand.source : operand, condition.$options);
+      return someValueOrItem(values, (value) => regExpMatches(regExp, value));
+    }
+
+    case '$options':
+      if (condition.$regex === undefined) throw new Error('$options requires $regex');
+      return true;
+    case '$size':
+      return values.some((value) => Array.isArray(value) && value.length === operand);
+    case '$all':
+      if (!Array.isArray(operand)) throw new Error('$all requires an array');
+      return operand.length > 0 && operand.every((expected) => valuesMatch(values, expected));
+    case '$elemMatch':
+      if (!MongoObject.isBasicObject(operand)) throw new Error('$elemMatch requires an object');
+      return values.some((value) => Array.isArray(value) && value.some((item) => elemMatches(item, operand)));
+    case '$not':
+      if (!(operand instanceof RegExp) && !MongoObject.isBasicObject(operand)) {
+        throw new Error('$not requires a regular expression or an operator expression');
+      }
+
+      return !valuesMatch(values, operand);
+    default:
+      throw new Error(`Unsupported query operator ${operator}`);
+  }
+}
+
+function elemMatches(item, condition) {
+  const isDocumentQuery = Object.keys(condition).some((key) => (
+    key.substring(0, 1) !== '$' || key === '$and' || key === '$or' || key === '$nor'
+  ));
+  if (isDocumentQuery) return MongoObject.isBasicObject(item) && documentMatches(item, condition);
+  return valuesMatch([item], condition);
+}
+
+function isOfBsonType(value, type) {
+  const typeName = typeof type === 'number' ? BSON_TYPE_ALIASES[type] : type;
+  switch (typeName) {
+    case 'number':
+    case 'double':
+      return typeof value === 'number';
+    case 'int':
+    case 'long':
+      return typeof value === 'number' && value % 1 === 0;
+    case 'string':
+      return typeof value === 'string';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype;
+    case 'array':
+      return Array.isArray(value);
+    case 'binData':
+      return !!value && (value._bsontype === 'Binary' || value instanceof Uint8Array);
+    case 'undefined':
+      return value === undefined;
+    case 'objectId':
+      return !!value && (value._bsontype === 'ObjectID' || value._bsontype === 'ObjectId');
+    case 'bool':
+      return typeof value === 'boolean';
+    case 'date':
+      return value instanceof Date;
+    case 'null':
+      return value === null;
+    case 'regex':
+      return value instanceof RegExp;
+    case 'javascript':
+      return typeof value === 'function';
+    case 'decimal':
+      return !!value && value._bsontype === 'Decimal128';
+    default:
+      throw new Error(`Unknown $type ${type}`);
+  }
 }
@@ -1,3 +1,4 @@
+import _ from 'lodash';
 import expect from 'expect';
 import MongoObject from './mongo-object';
 
@@ -213,6 +214,8 @@ describe('MongoObject', () => {
   it('makeKeyGeneric', () => {
     const generic = MongoObject.makeKeyGeneric('foo.0.0.ab.c.123.4square.d.67e.f.g.1');
     expect(generic).toEqual('foo.$.$.ab.c.$.4square.d.67e.f.g.$');
+    expect(MongoObject.makeKeyGeneric('items.$.qty')).toEqual('items.$.qty');
+    expect(MongoObject.makeKeyGeneric('items.$[].qty.$[elem]')).toEqual('items.$.qty.$');
   });
 
   it('cleanNulls', () => {
@@ -514,4 +517,1771 @@ describe('MongoObject', () => {
       });
     });
   });
+
+  describe('applyModifier', () => {
+    function testApply(doc, modifier, exp) {
+      expect(MongoObject.applyModifier(doc, modifier)).toEqual(exp);
+    }
+
+    it('should not change the original document', () => {
+      const doc = { a: 1, b: { c: [1, 2] } };
+      const result = MongoObject.applyModifier(doc, { $set: { a: 2 }, $push: { 'b.c': 3 } });
+      expect(doc).toEqual({ a: 1, b: { c: [1, 2] } });
+      expect(result).toEqual({ a: 2, b: { c: [1, 2, 3] } });
+    });
+
+    it('$set and $unset', () => {
+      testApply({ a: 1 }, { $set: { a: 2, 'b.c': 3 } }, { a: 2, b: { c: 3 } });
+      testApply({ a: [1, 2] }, { $set: { 'a.1': 3 } }, { a: [1, 3] });
+      testApply({ a: 1, b: { c: 2, d: 3 } }, { $unset: { a: '', 'b.c': '', x: '' } }, { b: { d: 3 } });
+      testApply({ a: [1, 2] }, { $unset: { 'a.0': '' } }, { a: [null, 2] });
+      expect(() => MongoObject.applyModifier({ a: 1 }, { $set: { 'a.b': 1 } })).toThrow(/Cannot create field 'b'/);
+    });
+
+    it('$inc, $mul, $min and $max', () => {
+      testApply({ a: 1 }, { $inc: { a: 2, b: -1 } }, { a: 3, b: -1 });
+      testApply({ a: 2 }, { $mul: { a: 3, b: 2 } }, { a: 6, b: 0 });
+      testApply({ a: 5, b: 5 }, { $min: { a: 3, b: 8, c: 1 } }, { a: 3, b: 5, c: 1 });
+      testApply({ a: 5, b: 5 }, { $max: { a: 3, b: 8 } }, { a: 5, b: 8 });
+      testApply({ d: new Date(10) }, { $max: { d: new Date(20) } }, { d: new Date(20) });
+      expect(() => MongoObject.applyModifier({ a: 'x' }, { $inc: { a: 1 } })).toThrow(/Cannot apply \$inc/);
+      expect(() => MongoObject.applyModifier({}, { $inc: { a: '1' } })).toThrow();
+    });
+
+    it('$rename and $currentDate', () => {
+      testApply({ a: 1, b: { c: 2 } }, { $rename: { a: 'x', 'b.c': 'b.d', missing: 'y' } }, { x: 1, b: { d: 2 } });
+      const result = MongoObject.applyModifier({}, { $currentDate: { a: true, b: { $type: 'date' } } });
+      expect(result.a).toBeA(Date);
+      expect(result.b).toBeA(Date);
+    });
+
+    it('$push and $addToSet', () => {
+      testApply({}, { $push: { a: 1 } }, { a: [1] });
+      testApply({ a: [1] }, { $push: { a: { $each: [2, 3] } } }, { a: [1, 2, 3] });
+      testApply({ a: [1, 2] }, { $push: { a: { $each: [3], $position: 0 } } }, { a: [3, 1, 2] });
+      testApply({ a: [1, 2] }, { $push: { a: { $each: [3], $position: -1 } } }, { a: [1, 3, 2] });
+      testApply({ a: [3, 1] }, { $push: { a: { $each: [2], $sort: 1, $slice: 2 } } }, { a: [1, 2] });
+      testApply({ a: [3, 1] }, { $push: { a: { $each: [2], $sort: -1, $slice: -2 } } }, { a: [2, 1] });
+      testApply({ a: [{ n: 2 }] }, { $push: { a: { $each: [{ n: 1 }], $sort: { n: 1 } } } }, { a: [{ n: 1 }, { n: 2 }] });
+      testApply({ a: [1, { b: 1 }] }, { $addToSet: { a: { $each: [1, 2, { b: 1 }] } } }, { a: [1, { b: 1 }, 2] });
+      expect(() => MongoObject.applyModifier({ a: 1 }, { $push: { a: 1 } })).toThrow(/not array/);
+    });
+
+    it('$pull, $pullAll and $pop', () => {
+      testApply({ a: [1, 2, 1] }, { $pull: { a: 1 } }, { a: [2] });
+      testApply({ a: [{ b: 1, c: 1 }, { b: 2 }] }, { $pull: { a: { b: 1 } } }, { a: [{ b: 2 }] });
+      testApply({ a: [1, 2, 3] }, { $pullAll: { a: [1, 3] } }, { a: [2] });
+      testApply({ a: [1, 2, 3], b: [1, 2, 3] }, { $pop: { a: 1, b: -1 } }, { a: [1, 2], b: [2, 3] });
+      testApply({}, { $pull: { a: 1 }, $pop: { b: 1 } }, {});
+    });
+
+    it('replacement documents', () => {
+      testApply({ _id: 'id', a: 1 }, { b: 2 }, { _id: 'id', b: 2 });
+      expect(() => MongoObject.applyModifier({}, { $set: { a: 1 }, b: 2 })).toThrow(/mix/);
+      expect(() => MongoObject.applyModifier({}, { $sett: { a: 1 } })).toThrow(/Unsupported/);
+    });
+  });
+
+  describe('matches', () => {
+    function testMatch(doc, selector, exp) {
+      expect(MongoObject.matches(doc, selector)).toBe(exp);
+    }
+
+    const doc = {
+      a: 1,
+      s: 'foo',
+      d: new Date(100),
+      n: null,
+      tags: ['x', 'y'],
+      items: [{ qty: 5, name: 'a' }, { qty: 10, name: 'b' }],
+      nested: { b: { c: 2 } },
+    };
+
+    it('equality and dot notation', () => {
+      testMatch(doc, {}, true);
+      testMatch(doc, { a: 1, s: 'foo' }, true);
+      testMatch(doc, { a: 2 }, false);
+      testMatch(doc, { 'nested.b.c': 2 }, true);
+      testMatch(doc, { nested: { b: { c: 2 } } }, true);
+      testMatch(doc, { tags: 'x' }, true);
+      testMatch(doc, { tags: ['x', 'y'] }, true);
+      testMatch(doc, { 'items.qty': 10 }, true);
+      testMatch(doc, { 'items.1.name': 'b' }, true);
+      testMatch(doc, { 'items.0.name': 'b' }, false);
+      testMatch(doc, { n: null, missing: null }, true);
+      testMatch(doc, { s: /^f/ }, true);
+    });
+
+    it('comparison operators', () => {
+      testMatch(doc, { a: { $eq: 1, $ne: 2 } }, true);
+      testMatch(doc, { a: { $gt: 0, $lte: 1 } }, true);
+      testMatch(doc, { a: { $gte: 2 } }, false);
+      testMatch(doc, { a: { $lt: 'z' } }, false);
+      testMatch(doc, { d: { $gt: new Date(50) } }, true);
+      testMatch(doc, { 'items.qty': { $gt: 8 } }, true);
+      testMatch(doc, { tags: { $in: ['y', 'z'] } }, true);
+      testMatch(doc, { tags: { $nin: ['y', 'z'] } }, false);
+      testMatch(doc, { s: { $in: [/o+$/] } }, true);
+    });
+
+    it('element and evaluation operators', () => {
+      testMatch(doc, { a: { $exists: true }, missing: { $exists: false } }, true);
+      testMatch(doc, { n: { $exists: false } }, false);
+      testMatch(doc, { a: { $type: 'number' }, s: { $type: 2 }, d: { $type: 'date' }, tags: { $type: 'array' } }, true);
+      testMatch(doc, { a: { $type: ['string', 'null'] } }, false);
+      testMatch(doc, { s: { $regex: 'FO', $options: 'i' } }, true);
+      testMatch(doc, { s: { $regex: /^o/ } }, false);
+    });
+
+    it('array operators', () => {
+      testMatch(doc, { tags: { $size: 2 } }, true);
+      testMatch(doc, { tags: { $all: ['y', 'x'] } }, true);
+      testMatch(doc, { tags: { $all: ['x', 'z'] } }, false);
+      testMatch(doc, { items: { $elemMatch: { qty: { $gt: 6 }, name: 'b' } } }, true);
+      testMatch(doc, { items: { $elemMatch: { qty: { $gt: 6 }, name: 'a' } } }, false);
+      testMatch({ scores: [1, 7] }, { scores: { $elemMatch: { $gt: 5, $lt: 8 } } }, true);
+    });
+
+    it('logical operators', () => {
+      testMatch(doc, { a: { $not: { $gt: 5 } } }, true);
+      testMatch(doc, { s: { $not: /^f/ } }, false);
+      testMatch(doc, { $and: [{ a: 1 }, { s: 'foo' }] }, true);
+      testMatch(doc, { $or: [{ a: 2 }, { s: 'foo' }] }, true);
+      testMatch(doc, { $nor: [{ a: 2 }, { s: 'bar' }] }, true);
+      testMatch(doc, { $nor: [{ a: 1 }] }, false);
+      expect(() => MongoObject.matches(doc, { $where: 'true' })).toThrow(/Unsupported/);
+      expect(() => MongoObject.matches(doc, { a: { $foo: 1 } })).toThrow(/Unsupported/);
+    });
+
+    it('is used by $pull in applyModifier', () => {
+      expect(MongoObject.applyModifier({ a: [1, 5, 9] }, { $pull: { a: { $gte: 5 } } })).toEqual({ a: [1] });
+      expect(MongoObject.applyModifier({ a: [{ b: 1 }, { b: 4 }] }, { $pull: { a: { b: { $lt: 3 } } } })).toEqual({ a: [{ b: 4 }] });
+    });
+  });
+
+  describe('validateModifier', () => {
+    function codes(modifier) {
+      return MongoObject.validateModifier(modifier).map((error) => error.code);
+    }
+
+    it('should accept valid modifiers and replacement documents', () => {
+      expect(MongoObject.validateModifier({ $set: { a: 1, 'b.c': 2 }, $inc: { d: 1 }, $push: { e: { $each: [{ f: 1 }], $slice: 2 } } })).toEqual([]);
+      expect(MongoObject.validateModifier({ $set: { 'items.$.qty': 1, 'items.$[].a': 1, 'items.$[elem].b': 1 } })).toEqual([]);
+      expect(MongoObject.validateModifier({ a: 1, b: { c: 2 } })).toEqual([]);
+    });
+
+    it('should report conflicting keys', () => {
+      const errors = MongoObject.validateModifier({ $set: { a: 1 }, $unset: { 'a.b': '' } });
+      expect(errors.length).toBe(1);
+      expect(errors[0]).toInclude({ code: 'CONFLICTING_KEYS', operator: '$unset', key: 'a.b', position: '$unset[a.b]' });
+      expect(codes({ $set: { a: 1 }, $inc: { a: 1 } })).toEqual(['CONFLICTING_KEYS']);
+      expect(codes({ $rename: { a: 'b' }, $set: { 'b.c': 1 } })).toEqual(['CONFLICTING_KEYS']);
+      expect(codes({ $set: { ab: 1, 'a.b': 1 } })).toEqual([]);
+    });
+
+    it('should report modifiers that are not objects', () => {
+      const error = { code: 'INVALID_ARGUMENT', operator: null, key: null, position: null, message: 'A modifier must be an object' };
+      expect(MongoObject.validateModifier(null)).toEqual([error]);
+      expect(MongoObject.validateModifier(undefined)).toEqual([error]);
+      expect(MongoObject.validateModifier('$set')).toEqual([error]);
+    });
+
+    it('should report unknown operators and mixed fields', () => {
+      expect(MongoObject.validateModifier({ $sett: { a: 1 } })).toEqual([
+        {
+          code: 'UNKNOWN_OPERATOR',
+          operator: '$sett',
+          key: null,
+          position: '$sett',
+          message: 'Unknown update operator $sett',
+        },
+      ]);
+      const errors = MongoObject.validateModifier({ $set: { a: 1 }, b: 2 });
+      expect(errors.length).toBe(1);
+      expect(errors[0]).toInclude({ code: 'MIXED_OPERATORS_AND_FIELDS', key: 'b', position: 'b' });
+    });
+
+    it('should report invalid field names', () => {
+      expect(codes({ $set: { $a: 1 } })).toEqual(['DOLLAR_FIELD_NAME']);
+      expect(codes({ $set: { '': 1, 'a..b': 1 } })).toEqual(['EMPTY_FIELD_NAME', 'EMPTY_FIELD_NAME']);
+      const errors = MongoObject.validateModifier({ $set: { a: { $b: 1 } } });
+      expect(errors[0]).toInclude({ code: 'DOLLAR_FIELD_NAME', key: 'a', position: '$set[a][$b]' });
+      expect(codes({ $push: { a: { $each: [{ $b: 1 }] } } })).toEqual(['DOLLAR_FIELD_NAME']);
+      expect(codes({ a: { $b: 1 } })).toEqual(['DOLLAR_FIELD_NAME']);
+    });
+
+    it('should report invalid arguments', () => {
+      expect(codes({ $set: 1 })).toEqual(['INVALID_ARGUMENT']);
+      expect(codes({ $inc: { a: '1' } })).toEqual(['INVALID_ARGUMENT']);
+      expect(codes({ $rename: { a: 1 } })).toEqual(['INVALID_ARGUMENT']);
+    });
+  });
+
+  describe('diffToModifier', () => {
+    const date = new Date();
+    const oldDoc = {
+      a: 1,
+      b: 'foo',
+      c: date,
+      d: { a: 1, b: 'foo', c: [1, 2] },
+      e: [{ a: 1 }, { a: 2 }],
+      f: 'remove me',
+    };
+
+    it('should only include changed keys', () => {
+      expect(MongoObject.diffToModifier(oldDoc, _.cloneDeep(oldDoc))).toEqual({});
+      expect(MongoObject.diffToModifier(oldDoc, {
+        a: 2,
+        b: 'foo',
+        c: new Date(date.getTime()),
+        d: { a: 1, b: 'bar', c: [1, 3] },
+        e: [{ a: 1 }, { a: 2, b: 3 }],
+        f: null,
+        g: { h: 1 },
+      })).toEqual({
+        $set: {
+          a: 2,
+          'd.b': 'bar',
+          'd.c.1': 3,
+          'e.1.b': 3,
+          'g.h': 1,
+        },
+        $unset: {
+          f: '',
+        },
+      });
+    });
+
+    it('should unset removed keys and empty strings', () => {
+      expect(MongoObject.diffToModifier({ a: 1, b: { c: 1, d: 2 } }, { b: { c: 1, d: '' } })).toEqual({ $unset: { a: '', 'b.d': '' } });
+      expect(MongoObject.diffToModifier({ a: 1 }, { a: '' }, { keepEmptyStrings: true })).toEqual({ $set: { a: '' } });
+      expect(MongoObject.diffToModifier({ a: null }, {})).toEqual({});
+    });
+
+    it('should set whole values when the type changes or arrays shrink', () => {
+      expect(MongoObject.diffToModifier({ a: null, b: 1, c: [1, 2] }, { a: { x: 1 }, b: [1], c: [1] })).toEqual({
+        $set: { a: { x: 1 }, b: [1], c: [1] },
+      });
+    });
+
+    it('should respect keepArrays and pushAppends', () => {
+      expect(MongoObject.diffToModifier(oldDoc, _.assign({}, oldDoc, { e: [{ a: 1 }, { a: 3, b: null }] }), { keepArrays: true })).toEqual({
+        $set: { e: [{ a: 1 }, { a: 3 }] },
+      });
+      expect(MongoObject.diffToModifier({ a: [1, 2] }, { a: [1, 2, 3, 4] })).toEqual({ $set: { 'a.2': 3, 'a.3': 4 } });
+      expect(MongoObject.diffToModifier({ a: [1, 2] }, { a: [1, 2, 3, 4] }, { pushAppends: true })).toEqual({ $push: { a: { $each: [3, 4] } } });
+      expect(MongoObject.diffToModifier({ a: [1, 2] }, { a: [2, 2, 3] }, { pushAppends: true })).toEqual({ $set: { 'a.0': 2, 'a.2': 3 } });
+    });
+
+    it('should produce the new document when applied', () => {
+      const newDoc = { a: 1, d: { a: 2, c: [1, 2, 3] }, e: [{ a: 1 }], h: [1] };
+      const modifier = MongoObject.diffToModifier(oldDoc, newDoc, { pushAppends: true });
+      expect(MongoObject.applyModifier(oldDoc, modifier)).toEqual(newDoc);
+    });
+  });
+
+  describe('mergeModifiers', () => {
+    function testMerge(a, b, exp) {
+      expect(MongoObject.mergeModifiers(a, b)).toEqual(exp);
+    }
+
+    it('should combine changes to different keys', () => {
+      testMerge({ $set: { a: 1 } }, { $set: { b: 2 }, $inc: { c: 1 } }, { $set: { a: 1, b: 2 }, $inc: { c: 1 } });
+    });
+
+    it('should combine changes to the same key', () => {
+      testMerge({ $inc: { a: 1 } }, { $inc: { a: 2 } }, { $inc: { a: 3 } });
+      testMerge({ $inc: { a: 1 } }, { $set: { a: 5 } }, { $set: { a: 5 } });
+      testMerge({ $set: { a: 1 } }, { $inc: { a: 2 } }, { $set: { a: 3 } });
+      testMerge({ $unset: { a: '' } }, { $inc: { a: 2 } }, { $set: { a: 2 } });
+      testMerge({ $mul: { a: 2 } }, { $mul: { a: 3 } }, { $mul: { a: 6 } });
+      testMerge({ $min: { a: 2 } }, { $min: { a: 1 } }, { $min: { a: 1 } });
+      testMerge({ $push: { a: 1 } }, { $push: { a: { $each: [2, 3], $slice: -2 } } }, { $push: { a: { $each: [1, 2, 3], $slice: -2 } } });
+      testMerge({ $addToSet: { a: 1 } }, { $addToSet: { a: { $each: [1, 2] } } }, { $addToSet: { a: { $each: [1, 2] } } });
+      testMerge({ $pull: { a: 1 } }, { $pullAll: { a: [2] } }, { $pullAll: { a: [1, 2] } });
+    });
+
+    it('should fold changes into values that are set', () => {
+      testMerge({ $set: { a: { b: 1 } } }, { $inc: { 'a.b': 1 }, $push: { 'a.c': 1 } }, { $set: { a: { b: 2, c: [1] } } });
+      testMerge({ $set: { 'a.b': 1, 'a.c': 1 } }, { $set: { a: 2 } }, { $set: { a: 2 } });
+      testMerge({ $unset: { a: '' } }, { $set: { 'a.b': 1 } }, { $set: { a: { b: 1 } } });
+    });
+
+    it('should throw a conflict error naming the keys', () => {
+      let error;
+      try {
+        MongoObject.mergeModifiers({ $inc: { a: 1 } }, { $mul: { a: 2 } });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).toMatch(/Cannot merge \$mul of 'a'/);
+      expect(error.keys).toEqual(['a']);
+
+      expect(() => MongoObject.mergeModifiers({ $push: { a: 1 } }, { $set: { 'a.0': 2 } })).toThrow(/Cannot merge/);
+      expect(() => MongoObject.mergeModifiers({ $set: { 'a.b': 1 } }, { $inc: { a: 1 } })).toThrow(/Cannot merge/);
+      expect(() => MongoObject.mergeModifiers({ $rename: { a: 'b' } }, { $set: { b: 1 } })).toThrow(/Cannot merge/);
+      expect(() => MongoObject.mergeModifiers({ $set: { a: 1 } }, { $inc: { 'a.b': 1 } })).toThrow(/Cannot merge/);
+    });
+
+    it('should be equivalent to applying both modifiers', () => {
+      const doc = { a: 1, b: [1], c: { d: 1 } };
+      const a = { $inc: { a: 1 }, $push: { b: 2 }, $set: { c: { d: 2 } } };
+      const b = { $inc: { a: 3 }, $push: { b: { $each: [3] } }, $unset: { 'c.d': '' }, $set: { e: 1 } };
+      const merged = MongoObject.mergeModifiers(a, b);
+      expect(MongoObject.applyModifier(doc, merged)).toEqual(MongoObject.applyModifier(MongoObject.applyModifier(doc, a), b));
+    });
+  });
+
+  describe('invertModifier', () => {
+    const doc = {
+      a: 1,
+      b: { c: 'foo', d: [1, 2] },
+      e: [{ f: 1 }, { f: 2 }],
+      g: 0.1,
+    };
+
+    function testRoundTrip(modifier) {
+      const inverse = MongoObject.invertModifier(doc, modifier);
+      const updated = MongoObject.applyModifier(doc, modifier);
+      expect(MongoObject.applyModifier(updated, inverse)).toEqual(doc);
+      return inverse;
+    }
+
+    it('should reverse $set and $unset', () => {
+      expect(testRoundTrip({ $set: { a: 2, 'b.c': 'bar', x: 1 } })).toEqual({ $set: { a: 1, 'b.c': 'foo' }, $unset: { x: '' } });
+      expect(testRoundTrip({ $set: { 'x.y.z': 1, 'x.w': 1 } })).toEqual({ $unset: { x: '' } });
+      expect(testRoundTrip({ $unset: { b: '', x: '' } })).toEqual({ $set: { b: { c: 'foo', d: [1, 2] } }, $unset: { x: '' } });
+      testRoundTrip({ $set: { 'e.1.f': 3, 'e.0.h': 1 } });
+    });
+
+    it('should restore arrays that the update makes longer', () => {
+      expect(testRoundTrip({ $set: { 'b.d.3': 5 } })).toEqual({ $set: { 'b.d': [1, 2] } });
+      expect(testRoundTrip({ $set: { 'e.2.f': 3 } })).toEqual({ $set: { e: [{ f: 1 }, { f: 2 }] } });
+      expect(testRoundTrip({ $set: { 'b.d.1': 3 } })).toEqual({ $set: { 'b.d.1': 2 } });
+    });
+
+    it('should reverse $inc with a negative $inc', () => {
+      expect(testRoundTrip({ $inc: { a: 2, x: 1 } })).toEqual({ $inc: { a: -2 }, $unset: { x: '' } });
+      expect(testRoundTrip({ $inc: { g: 0.2 } })).toEqual({ $set: { g: 0.1 } });
+    });
+
+    it('should reverse $push by trimming the array', () => {
+      expect(testRoundTrip({ $push: { 'b.d': { $each: [3, 4] }, x: 1 } })).toEqual({ $push: { 'b.d': { $each: [], $slice: 2 } }, $unset: { x: '' } });
+      expect(testRoundTrip({ $push: { 'b.d': { $each: [0], $position: 0 } } })).toEqual({ $set: { 'b.d': [1, 2] } });
+    });
+
+    it('should reverse $rename', () => {
+      expect(testRoundTrip({ $rename: { a: 'x' } })).toEqual({ $rename: { x: 'a' } });
+      expect(testRoundTrip({ $rename: { a: 'g' } })).toEqual({ $set: { a: 1, g: 0.1 } });
+      expect(testRoundTrip({ $rename: { a: 'x.y' } })).toEqual({ $set: { a: 1 }, $unset: { x: '' } });
+      expect(testRoundTrip({ $rename: { a: 'b.x' } })).toEqual({ $rename: { 'b.x': 'a' } });
+      expect(MongoObject.invertModifier(doc, { $rename: { x: 'y' } })).toEqual({});
+    });
+
+    it('should reverse other operators', () => {
+      testRoundTrip({ $mul: { a: 3 }, $min: { g: 0 }, $max: { y: 1 }, $currentDate: { 'b.c': true } });
+      testRoundTrip({ $addToSet: { 'b.d': 3 }, $pull: { e: { f: 1 } } });
+      testRoundTrip({ $pop: { 'b.d': 1 }, $pullAll: { x: [1] } });
+      expect(MongoObject.invertModifier(doc, { a: 2 })).toEqual(doc);
+      expect(() => MongoObject.invertModifier(doc, { $set: { 'e.$.f': 1 } })).toThrow(/positional/);
+    });
+  });
+
+  describe('positional operators', () => {
+    const doc = {
+      items: [{ qty: 1, name: 'a' }, { qty: 5, name: 'b' }, { qty: 10, name: 'c' }],
+      grid: [[1, 2], [3, 4]],
+    };
+
+    it('getPositionalOperators', () => {
+      expect(MongoObject.getPositionalOperators('items.qty')).toEqual([]);
+      expect(MongoObject.getPositionalOperators('items.$.qty')).toEqual([
+        { operator: '$', type: 'positional', identifier: null, index: 1 },
+      ]);
+      expect(MongoObject.getPositionalOperators('a.$[].b.$[elem]')).toEqual([
+        { operator: '$[]', type: 'allPositional', identifier: null, index: 1 },
+        { operator: '$[elem]', type: 'filteredPositional', identifier: 'elem', index: 3 },
+      ]);
+    });
+
+    it('should be parsed by MongoObject instances', () => {
+      const mo = new MongoObject({ $set: { 'items.$.qty': 1, 'items.$[].name': 'x', 'items.$[elem].qty': 2, 'items.0.qty': 3 } });
+      const nodes = {};
+      mo.forEachNode(function collectNode() {
+        nodes[this.key] = this;
+      });
+
+      expect(nodes['items.$.qty'].genericKey).toBe('items.$.qty');
+      expect(nodes['items.$.qty'].positionalOperators[0].type).toBe('positional');
+      expect(nodes['items.$[].name'].genericKey).toBe('items.$.name');
+      expect(nodes['items.$[].name'].positionalOperators[0].type).toBe('allPositional');
+      expect(nodes['items.$[elem].qty'].positionalOperators[0].identifier).toBe('elem');
+      expect(nodes['items.0.qty'].positionalOperators).toEqual([]);
+      expect(mo.getValueForPosition('$set[items.$[elem].qty]')).toBe(2);
+      expect(mo.getPositionsInfoForGenericKey('items.$.qty').map((info) => info.key)).toEqual(['items.$.qty', 'items.$[elem].qty', 'items.0.qty']);
+
+      // Generic keys don't tell the forms apart, but exact matching does
+      const indexed = new MongoObject({ $set: { 'items.0.qty': 3 } });
+      const positional = new MongoObject({ $set: { 'items.$.qty': 3 } });
+      expect(indexed.affectsGenericKey('items.$.qty')).toBe(true);
+      expect(positional.affectsGenericKey('items.$.qty')).toBe(true);
+      expect(indexed.affectsGenericKey('items.$.qty', { exact: true })).toBe(false);
+      expect(positional.affectsGenericKey('items.$.qty', { exact: true })).toBe(true);
+      expect(indexed.affectsGenericKey('items.0.qty', { exact: true })).toBe(true);
+      expect(positional.affectsGenericKey('items.0.qty', { exact: true })).toBe(false);
+      expect(mo.affectsGenericKey('items.$[].*', { exact: true })).toBe(true);
+      expect(mo.affectsGenericKey(/^items\.\$\[\w+\]/, { exact: true })).toBe(true);
+      expect(indexed.affectsKey('items.$.qty')).toBe(false);
+      expect(mo.affectsKey('items.$.qty')).toBe(true);
+      expect(mo.affectsKey('items.$[].qty')).toBe(false);
+      expect(mo.getPositionForKey('items.$[elem].qty')).toBe('$set[items.$[elem].qty]');
+
+      mo.removeKey('items.$[elem].qty');
+      expect(mo.getObject()).toEqual({ $set: { 'items.$.qty': 1, 'items.$[].name': 'x', 'items.0.qty': 3 } });
+    });
+
+    it('resolvePositionalKey', () => {
+      expect(MongoObject.resolvePositionalKey('items.$[].qty', doc)).toEqual(['items.0.qty', 'items.1.qty', 'items.2.qty']);
+      expect(MongoObject.resolvePositionalKey('items.$[elem].qty', doc, { arrayFilters: [{ 'elem.qty': { $gte: 5 } }] })).toEqual(['items.1.qty', 'items.2.qty']);
+      expect(MongoObject.resolvePositionalKey('grid.$[].$[n]', doc, { arrayFilters: [{ n: { $gt: 2 } }] })).toEqual(['grid.1.0', 'grid.1.1']);
+      expect(MongoObject.resolvePositionalKey('items.$.qty', doc, { selector: { 'items.name': 'b' } })).toEqual(['items.1.qty']);
+      expect(MongoObject.resolvePositionalKey('items.$.qty', doc, { selector: { items: { $elemMatch: { qty: { $gt: 5 } } } } })).toEqual(['items.2.qty']);
+      expect(() => MongoObject.resolvePositionalKey('items.$.qty', doc)).toThrow(/requires a selector/);
+      expect(() => MongoObject.resolvePositionalKey('items.$[x].qty', doc)).toThrow(/No array filter/);
+      expect(() => MongoObject.resolvePositionalKey('missing.$[].qty', doc)).toThrow(/must be an array/);
+    });
+
+    it('should be supported by applyModifier, invertModifier and validateModifier', () => {
+      const modifier = { $inc: { 'items.$[big].qty': 1 }, $set: { 'items.$.name': 'z' } };
+      const options = { arrayFilters: [{ 'big.qty': { $gt: 1 } }], selector: { 'items.qty': 1 } };
+      const result = MongoObject.applyModifier(doc, modifier, options);
+      expect(result.items).toEqual([{ qty: 1, name: 'z' }, { qty: 6, name: 'b' }, { qty: 11, name: 'c' }]);
+      expect(MongoObject.applyModifier(result, MongoObject.invertModifier(doc, modifier, options))).toEqual(doc);
+
+      expect(MongoObject.validateModifier(modifier, { arrayFilters: [] }).map((error) => error.code)).toEqual(['MISSING_ARRAY_FILTER']);
+      expect(MongoObject.validateModifier(modifier, options)).toEqual([]);
+    });
+  });
+
+  describe('operator info', () => {
+    it('getOperatorInfo', () => {
+      expect(MongoObject.getOperatorInfo('$set')).toEqual({ access: 'write', valueType: 'literal' });
+      expect(MongoObject.getOperatorInfo('$inc')).toEqual({ access: 'readWrite', valueType: 'delta' });
+      expect(MongoObject.getOperatorInfo('$unset')).toEqual({ access: 'remove', valueType: 'instruction' });
+      expect(MongoObject.getOperatorInfo(null)).toEqual({ access: 'write', valueType: 'literal' });
+      expect(MongoObject.getOperatorInfo('$sett')).toEqual({ access: null, valueType: null });
+    });
+
+    it('should report the source and target keys of $rename', () => {
+      const mo = new MongoObject({ $rename: { a: 'b' }, $set: { c: 1 } });
+      expect(mo.getFlatObject()).toEqual({ c: 1 });
+      expect(mo.affectsKey('a')).toBe(true);
+      expect(mo.affectsKey('b')).toBe(true);
+      expect(mo.affectsGenericKey('b')).toBe(true);
+      expect(mo.affectsGenericKeyImplicit('b')).toBe(true);
+      expect(mo.getPositionsInfoForGenericKey('b')).toEqual([
+        {
+          key: 'b',
+          value: 'b',
+          operator: '$rename',
+          position: '$rename[a]',
+          positionalOperators: [],
+          access: 'write',
+          valueType: 'instruction',
+          sourceKey: 'a',
+          targetKey: 'b',
+        },
+      ]);
+      expect(mo.getPositionsInfoForGenericKey('a')[0]).toInclude({ key: 'a', access: 'remove', targetKey: 'b' });
+
+      const nodes = [];
+      mo.forEachNode(function collectNode() {
+        nodes.push(_.pick(this, ['key', 'access', 'valueType', 'sourceKey', 'targetKey']));
+      });
+      expect(nodes).toEqual([
+        { key: 'a', access: 'remove', valueType: 'instruction', sourceKey: 'a', targetKey: 'b' },
+        { key: 'c', access: 'write', valueType: 'literal' },
+      ]);
+    });
+
+    it('should not traverse into $currentDate and $bit instructions', () => {
+      const mo = new MongoObject({ $currentDate: { d: { $type: 'date' } }, $bit: { n: { and: 5 } }, $inc: { i: 2 } });
+      expect(mo.getFlatObject()).toEqual({ d: { $type: 'date' }, n: { and: 5 }, i: 2 });
+
+      const nodes = {};
+      mo.forEachNode(function collectNode() {
+        nodes[this.key] = this;
+      });
+      expect(Object.keys(nodes)).toEqual(['d', 'n', 'i']);
+      expect(nodes.d.valueType).toBe('instruction');
+      expect(nodes.n.access).toBe('readWrite');
+      expect(nodes.i.valueType).toBe('delta');
+    });
+  });
+
+  describe('large documents', () => {
+    function makeItems(count) {
+      return _.times(count, (i) => ({ name: `item ${i}`, tags: ['a', 'b'], meta: { index: i } }));
+    }
+
+    it('should keep indexes in sync with the object after each change', () => {
+      const mo = new MongoObject({ $set: { items: makeItems(3), title: 'x' }, $push: { log: { $each: [1, 2] } } });
+      mo.removeGenericKey('items.$.meta');
+      mo.setValueForPosition('$set[items][1][tags]', []);
+      mo.setValueForPosition('$set[items][3]', { name: 'item 3' });
+      mo.setValueForPosition('$push[log][$each][2]', 3);
+      mo.setValueForKey('title', { text: 'y' });
+      mo.removeValueForPosition('$set[items][0]');
+
+      const fresh = new MongoObject(_.cloneDeep(mo.getObject()));
+      expect(_.sortBy(mo.getPositionsForGenericKey('items.$.name'))).toEqual(fresh.getPositionsForGenericKey('items.$.name'));
+      expect(mo.getFlatObject()).toEqual(fresh.getFlatObject());
+      expect(mo.getPositionForKey('title.text')).toBe('$set[title][text]');
+      expect(mo.getPositionForKey('log.2')).toBe('$push[log][$each][2]');
+      expect(mo.affectsGenericKey('items.$.meta')).toBe(false);
+      expect(mo.affectsGenericKey('items.$.meta.index')).toBe(false);
+      expect(mo.affectsGenericKeyImplicit('items.$.tags')).toBe(true);
+
+      const endpoints = [];
+      mo.forEachNode(function collectNode() {
+        endpoints.push(this.key);
+      });
+      const freshEndpoints = [];
+      fresh.forEachNode(function collectNode() {
+        freshEndpoints.push(this.key);
+      });
+      expect(endpoints.sort()).toEqual(freshEndpoints.sort());
+    });
+
+    it('should only re-parse the changed part of the object', () => {
+      const count = 2000;
+      const mo = new MongoObject({ $set: { items: makeItems(count) } });
+      const nameNode = mo._nodes.get('$set[items][0][name]');
+
+      let fullReParses = 0;
+      const reParseObj = mo._reParseObj;
+      mo._reParseObj = function countReParse(...args) {
+        fullReParses++;
+        return reParseObj.apply(this, args);
+      };
+
+      mo.removeGenericKeys(['items.$.meta', 'items.$.tags.$']);
+
+      // Untouched parts of the object keep the nodes they were parsed into
+      expect(fullReParses).toBe(0);
+      expect(mo._nodes.get('$set[items][0][name]')).toBe(nameNode);
+      expect(mo.affectsGenericKeyImplicit('items.$.meta')).toBe(false);
+      expect(mo.getPositionsForGenericKey('items.$.name').length).toBe(count);
+      mo.removeArrayItems();
+      expect(mo.getObject().$set.items[count - 1]).toEqual({ name: `item ${count - 1}`, tags: [] });
+    });
+  });
+
+  describe('batch', () => {
+    it('should apply queued changes when the batch ends', () => {
+      const mo = new MongoObject({ $set: { a: 1, items: [{ b: 1 }, { b: 2 }, { b: 3 }] } });
+      const result = mo.batch(() => {
+        mo.setValueForKey('a', 2);
+        mo.removeKey('items.0');
+        mo.removeArrayItems();
+
+        // Positions stay valid until the batch ends
+        mo.setValueForKey('items.1.b', 20);
+        mo.addKey('c', 3, '$set');
+        expect(mo.getValueForKey('a')).toBe(1);
+        expect(mo.affectsKey('c')).toBe(false);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(mo.getObject()).toEqual({ $set: { a: 2, items: [{ b: 20 }, { b: 3 }], c: 3 } });
+      expect(mo.getPositionForKey('items.1.b')).toBe('$set[items][1][b]');
+    });
+
+    it('should keep only the last change for each position', () => {
+      const mo = new MongoObject({ a: { b: 1 } });
+      mo.batch(() => {
+        mo.setValueForPosition('a[b]', 2);
+        mo.removeValueForPosition('a');
+        mo.setValueForPosition('a.b', 3, true);
+      });
+      expect(mo.getObject()).toEqual({ a: { b: 3 } });
+    });
+
+    it('should support nested batches', () => {
+      const mo = new MongoObject({ a: 1, b: 1 });
+      mo.batch(() => {
+        mo.setValueForKey('a', 2);
+        const inner = mo.batch(() => {
+          mo.setValueForKey('b', 2);
+          return 'inner';
+        });
+        expect(inner).toBe('inner');
+        expect(mo.getObject()).toEqual({ a: 1, b: 1 });
+      });
+      expect(mo.getObject()).toEqual({ a: 2, b: 2 });
+    });
+
+    it('should roll back the changes of a batch that throws', () => {
+      const mo = new MongoObject({ a: 1, b: 1, c: [1, 2] });
+      mo.batch(() => {
+        mo.setValueForKey('a', 2);
+        expect(() => {
+          mo.batch(() => {
+            mo.setValueForKey('b', 2);
+            mo.removeKey('c.0');
+            mo.removeArrayItems();
+            throw new Error('inner failure');
+          });
+        }).toThrow('inner failure');
+      });
+      expect(mo.getObject()).toEqual({ a: 2, b: 1, c: [1, 2] });
+
+      expect(() => {
+        mo.batch(() => {
+          mo.setValueForKey('a', 3);
+          throw new Error('outer failure');
+        });
+      }).toThrow('outer failure');
+      expect(mo.getObject()).toEqual({ a: 2, b: 1, c: [1, 2] });
+
+      // The instance is usable again after a failed batch
+      mo.setValueForKey('b', 3);
+      expect(mo.getObject()).toEqual({ a: 2, b: 3, c: [1, 2] });
+    });
+  });
+
+  describe('immutable option', () => {
+    function deepFreeze(value) {
+      _.each(value, (v) => {
+        if (_.isObject(v)) deepFreeze(v);
+      });
+      return Object.freeze(value);
+    }
+
+    it('should accept blackboxKeys as an option or as a list', () => {
+      const doc = { a: { b: 1 } };
+      expect(new MongoObject(doc, ['a']).getFlatObject()).toEqual({ a: { b: 1 } });
+      expect(new MongoObject(doc, { blackboxKeys: ['a'] }).getFlatObject()).toEqual({ a: { b: 1 } });
+    });
+
+    it('should never modify the original object', () => {
+      const original = deepFreeze({ $set: { a: 1, b: undefined, items: [{ c: 1 }, { c: 2 }], other: { d: 1 } } });
+      const mo = new MongoObject(original, { immutable: true });
+      expect(mo.affectsKey('b')).toBe(false);
+
+      mo.setValueForKey('a', 2);
+      mo.removeKey('items.0');
+      mo.addKey('e.f', 3, '$set');
+      mo.forEachNode(function updateNode() {
+        if (this.key === 'items.1.c') this.updateValue(20);
+      });
+      mo.removeArrayItems();
+
+      expect(_.isEqual(original, { $set: { a: 1, b: undefined, items: [{ c: 1 }, { c: 2 }], other: { d: 1 } } })).toBe(true);
+      expect('b' in original.$set).toBe(true);
+      expect(_.isEqual(mo.getObject(), { $set: { a: 2, b: undefined, items: [{ c: 20 }], other: { d: 1 }, 'e.f': 3 } })).toBe(true);
+      expect(mo.getFlatObject()).toEqual({ a: 2, 'items.0.c': 20, 'other.d': 1, 'e.f': 3 });
+    });
+
+    it('should share unchanged parts of the object with previous versions', () => {
+      const original = deepFreeze({ a: { b: 1 }, c: { d: [{ e: 1 }, { e: 2 }] }, f: [1, 2] });
+      const mo = new MongoObject(original, { immutable: true });
+
+      mo.setValueForPosition('a[b]', 2);
+      const first = mo.getObject();
+      expect(first).toNotBe(original);
+      expect(first.a).toEqual({ b: 2 });
+      expect(first.c).toBe(original.c);
+      expect(first.f).toBe(original.f);
+
+      mo.removeValueForPosition('f[0]');
+      mo.removeArrayItems();
+      const second = mo.getObject();
+      expect(second.f).toEqual([2]);
+      expect(second.a).toBe(first.a);
+      expect(second.c).toBe(original.c);
+
+      // A change that can't be made leaves the object as it was
+      mo.setValueForPosition('a[b][g]', 1);
+      expect(mo.getObject()).toBe(second);
+    });
+  });
+
+  describe('type registry', () => {
+    function ObjectId(id) {
+      this._bsontype = 'ObjectID';
+      this.id = id;
+    }
+
+    ObjectId.prototype.equals = function equals(other) {
+      return other instanceof ObjectId && other.id === this.id;
+    };
+
+    function Address(street, city) {
+      this.street = street;
+      this.city = city;
+    }
+
+    function Money(amount) {
+      this.amount = amount;
+    }
+
+    afterEach(() => {
+      MongoObject.unregisterType('Address');
+      MongoObject.unregisterType('Money');
+    });
+
+    it('should treat built-in types as leaves', () => {
+      const id = new ObjectId('abc');
+      const date = new Date(0);
+      const mo = new MongoObject({ $set: { ref: { id, at: date } } });
+      expect(mo.getFlatObject()).toEqual({ 'ref.id': id, 'ref.at': date });
+      expect(MongoObject.getTypeForValue(id).name).toBe('ObjectId');
+      expect(MongoObject.isTraversableObject(date)).toBe(false);
+      expect(MongoObject.expandObj({ at: date, 'at.b': 1 }).at).toBe(date);
+    });
+
+    it('should clone and compare values as their types define', () => {
+      const doc = { ids: [new ObjectId('a')], at: new Date(0) };
+      const copy = MongoObject.clone(doc);
+      expect(copy.ids[0]).toBe(doc.ids[0]);
+      expect(copy.at).toNotBe(doc.at);
+      expect(copy.at.getTime()).toBe(0);
+
+      expect(MongoObject.isEqual(new ObjectId('a'), new ObjectId('a'))).toBe(true);
+      expect(MongoObject.isEqual(new ObjectId('a'), new ObjectId('b'))).toBe(false);
+
+      const updated = MongoObject.applyModifier(doc, { $addToSet: { ids: { $each: [new ObjectId('a'), new ObjectId('b')] } } });
+      expect(updated.ids.map((id) => id.id)).toEqual(['a', 'b']);
+    });
+
+    it('should traverse registered traversable types', () => {
+      MongoObject.registerType({ name: 'Address', test: (value) => value instanceof Address, traversable: true });
+
+      const doc = { address: new Address('Main St', null) };
+      expect(new MongoObject(doc).getFlatObject()).toEqual({ 'address.street': 'Main St', 'address.city': null });
+      expect(MongoObject.docToModifier(doc)).toEqual({ $set: { 'address.street': 'Main St' }, $unset: { 'address.city': '' } });
+
+      const cleaned = MongoObject.cleanNulls(doc);
+      expect(cleaned.address).toBeA(Address);
+      expect(Object.keys(cleaned.address)).toEqual(['street']);
+      expect(MongoObject.cleanNulls({ address: new Address(null, null) })).toEqual({});
+    });
+
+    it('should use isEmpty to decide which values to unset', () => {
+      MongoObject.registerType({ name: 'Money', test: (value) => value instanceof Money, isEmpty: (value) => value.amount === null });
+
+      const price = new Money(5);
+      expect(MongoObject.docToModifier({ price, discount: new Money(null) })).toEqual({ $set: { price }, $unset: { discount: '' } });
+    });
+
+    it('should let later registrations take precedence and be removed', () => {
+      expect(() => MongoObject.registerType({ name: 'Money' })).toThrow(/name and a test function/);
+
+      MongoObject.registerType({ name: 'Money', test: (value) => value instanceof Money });
+      MongoObject.registerType({ name: 'Money', test: (value) => value instanceof Money, traversable: true });
+      expect(MongoObject.getTypeForValue(new Money(1)).traversable).toBe(true);
+
+      MongoObject.unregisterType('Money');
+      expect(MongoObject.getTypeForValue(new Money(1))).toBe(undefined);
+      expect(MongoObject.getTypeForValue(new Date()).name).toBe('Date');
+    });
+  });
+
+  describe('position grammar', () => {
+    it('parsePosition and formatPosition', () => {
+      expect(MongoObject.parsePosition('foo[bar][0]')).toEqual(['foo', 'bar', '0']);
+      expect(MongoObject.parsePosition('$set[items.$[elem].qty]')).toEqual(['$set', 'items.$[elem].qty']);
+      expect(MongoObject.parsePosition('a\\[1\\][b\\]c][d\\\\e]')).toEqual(['a[1]', 'b]c', 'd\\e']);
+      expect(MongoObject.parsePosition('a.b\\.c[0]', true)).toEqual(['a', 'b.c', '0']);
+
+      expect(MongoObject.formatPosition(['foo', 'bar', 0])).toBe('foo[bar][0]');
+      expect(MongoObject.formatPosition(['$set', 'items.$[elem].qty'])).toBe('$set[items.$[elem].qty]');
+      expect(MongoObject.formatPosition(['a[1]', 'b]c', 'd\\e'])).toBe('a\\[1\\][b\\]c][d\\\\e]');
+
+      const segments = ['[x', 'y]', '][', 'a.b', '\\', '[ok]', ''];
+      expect(MongoObject.parsePosition(MongoObject.formatPosition(segments))).toEqual(segments);
+    });
+
+    it('should handle object keys that contain brackets and backslashes', () => {
+      const doc = { 'map[1]': { 'a]b': 1, 'c\\d': [2] } };
+      const mo = new MongoObject(doc);
+
+      const positions = {};
+      mo.forEachNode(function collectNode() {
+        positions[this.key] = this.position;
+      });
+      expect(positions).toEqual({ 'map[1].a]b': 'map\\[1\\][a\\]b]', 'map[1].c\\d.0': 'map\\[1\\][c\\\\d][0]' });
+      expect(mo.getFlatObject()).toEqual({ 'map[1].a]b': 1, 'map[1].c\\d.0': 2 });
+
+      const position = MongoObject.formatPosition(['map[1]', 'a]b']);
+      expect(mo.getValueForPosition(position)).toBe(1);
+      mo.setValueForPosition(position, 10);
+      expect(doc['map[1]']['a]b']).toBe(10);
+      expect(MongoObject._positionToKey(position)).toBe('map[1].a]b');
+
+      const modifier = new MongoObject({ $set: { 'x[0].y': 1 } });
+      expect(modifier.getPositionForKey('x[0].y')).toBe('$set[x[0].y]');
+      expect(MongoObject._keyToPosition('x[0].y')).toBe('x\\[0\\][y]');
+
+      const expanded = {};
+      MongoObject.expandKey(1, MongoObject.formatPosition(['a[b]', 'c']), expanded);
+      expect(expanded).toEqual({ 'a[b]': { c: 1 } });
+      expect(MongoObject.applyModifier({}, { $set: { 'x[0].y': 1 } })).toEqual({ 'x[0]': { y: 1 } });
+    });
+  });
+
+  describe('JSON Patch', () => {
+    it('modifierToJsonPatch', () => {
+      expect(MongoObject.modifierToJsonPatch({
+        $set: { 'a.b': 1, 'list.0': 'x', 'c/d~e': 2 },
+        $unset: { old: '' },
+        $rename: { from: 'to' },
+        $push: { tags: { $each: ['p', 'q'] }, ranks: { $each: [1], $position: 0 } },
+      })).toEqual([
+        { op: 'add', path: '/a/b', value: 1 },
+        { op: 'replace', path: '/list/0', value: 'x' },
+        { op: 'add', path: '/c~1d~0e', value: 2 },
+        { op: 'remove', path: '/old' },
+        { op: 'move', from: '/from', path: '/to' },
+        { op: 'add', path: '/tags/-', value: 'p' },
+        { op: 'add', path: '/tags/-', value: 'q' },
+        { op: 'add', path: '/ranks/0', value: 1 },
+      ]);
+
+      expect(MongoObject.modifierToJsonPatch({ name: 'x' })).toEqual([{ op: 'replace', path: '', value: { name: 'x' } }]);
+
+      let error;
+      try {
+        MongoObject.modifierToJsonPatch({ $inc: { n: 1 } });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error.operator).toBe('$inc');
+      expect(error.key).toBe('n');
+    });
+
+    it('modifierToJsonPatch with a document', () => {
+      const doc = { n: 1, a: {}, list: [1, 2], gone: 1 };
+      expect(MongoObject.modifierToJsonPatch({
+        $inc: { n: 2 },
+        $set: { 'a.b': 1, 'x.y.z': 2, 'list.2': 3 },
+        $unset: { missing: '', gone: '' },
+        $push: { list: 3, newList: 'a' },
+        $rename: { n: 'deep.n' },
+      }, doc)).toEqual([
+        { op: 'replace', path: '/n', value: 3 },
+        { op: 'add', path: '/a/b', value: 1 },
+        { op: 'add', path: '/x', value: { y: { z: 2 } } },
+        { op: 'add', path: '/list/2', value: 3 },
+        { op: 'remove', path: '/gone' },
+        { op: 'add', path: '/list/-', value: 3 },
+        { op: 'add', path: '/newList', value: ['a'] },
+        { op: 'remove', path: '/n' },
+        { op: 'add', path: '/deep', value: { n: 3 } },
+      ]);
+    });
+
+    it('modifierToJsonPatch follows earlier operations on the document', () => {
+      expect(MongoObject.modifierToJsonPatch({ $set: { 'x.a': 1, 'x.b': 2 } }, {})).toEqual([
+        { op: 'add', path: '/x', value: { a: 1 } },
+        { op: 'add', path: '/x/b', value: 2 },
+      ]);
+
+      expect(MongoObject.modifierToJsonPatch({ $set: { 'm.1': 5, 'm.2': 6 } }, { m: [1] })).toEqual([
+        { op: 'add', path: '/m/1', value: 5 },
+        { op: 'add', path: '/m/2', value: 6 },
+      ]);
+    });
+
+    it('jsonPatchToModifier', () => {
+      expect(MongoObject.jsonPatchToModifier([
+        { op: 'add', path: '/a/b', value: 1 },
+        { op: 'replace', path: '/c~1d', value: 2 },
+        { op: 'remove', path: '/old' },
+        { op: 'move', from: '/from', path: '/to' },
+        { op: 'add', path: '/tags/-', value: 'p' },
+        { op: 'add', path: '/tags/-', value: 'q' },
+        { op: 'add', path: '/ranks/1', value: 5 },
+        { op: 'replace', path: '/list/0', value: 'x' },
+      ])).toEqual({
+        $set: { 'a.b': 1, 'c/d': 2, 'list.0': 'x' },
+        $unset: { old: '' },
+        $rename: { from: 'to' },
+        $push: { tags: { $each: ['p', 'q'] }, ranks: { $each: [5], $position: 1 } },
+      });
+
+      expect(MongoObject.jsonPatchToModifier([])).toEqual({});
+      expect(MongoObject.jsonPatchToModifier([
+        { op: 'add', path: '/a', value: { b: 1 } },
+        { op: 'replace', path: '/a/c', value: 2 },
+      ])).toEqual({ $set: { a: { b: 1, c: 2 } } });
+    });
+
+    it('jsonPatchToModifier should import a replacement of the whole document', () => {
+      const replacement = { name: 'x', tags: ['a'] };
+      const patch = MongoObject.modifierToJsonPatch(replacement);
+      expect(MongoObject.jsonPatchToModifier(patch)).toEqual(replacement);
+
+      expect(MongoObject.jsonPatchToModifier([
+        { op: 'add', path: '/old', value: 1 },
+        ...patch,
+        { op: 'add', path: '/tags/-', value: 'b' },
+        { op: 'remove', path: '/name' },
+      ])).toEqual({ tags: ['a', 'b'] });
+    });
+
+    it('jsonPatchToModifier should report the index of an operation that can\'t be expressed', () => {
+      function getError(patch) {
+        try {
+          MongoObject.jsonPatchToModifier(patch);
+        } catch (error) {
+          return error;
+        }
+      }
+
+      const set = { op: 'add', path: '/a', value: 1 };
+      expect(getError([set, { op: 'test', path: '/a', value: 1 }]).index).toBe(1);
+      expect(getError([{ op: 'copy', from: '/a', path: '/b' }]).index).toBe(0);
+      expect(getError([set, set, { op: 'remove', path: '/list/2' }]).index).toBe(2);
+      expect(getError([{ op: 'add', path: '/a.b', value: 1 }]).message).toMatch(/operation 0: .*can't be used in a modifier/);
+      expect(getError([{ op: 'remove', path: '' }]).index).toBe(0);
+      expect(getError([set, { op: 'replace', path: '', value: [1] }]).index).toBe(1);
+      expect(getError([set, { op: 'move', from: '/list/0', path: '/b' }]).index).toBe(1);
+
+      const conflict = getError([set, { op: 'move', from: '/a', path: '/b' }]);
+      expect(conflict.index).toBe(1);
+      expect(conflict.keys).toEqual(['a']);
+    });
+  });
+
+  describe('pipeline updates', () => {
+    it('reports the keys affected by each stage', () => {
+      const mo = new MongoObject([
+        { $set: { a: 1, 'b.c': '$d.e' } },
+        { $addFields: { f: { $concat: ['$g', '$$ROOT.h', '$$NOW'] } } },
+      ]);
+
+      expect(mo.isPipeline()).toBe(true);
+      expect(mo.getPositionForKey('a')).toBe('0[$set][a]');
+      expect(mo.affectsKey('b.c')).toBe(true);
+      expect(mo.affectsKey('$set')).toBe(false);
+      expect(mo.getReadKeys()).toEqual(['d.e', 'g', 'h']);
+
+      const nodes = [];
+      mo.forEachNode(function collectNode() {
+        nodes.push([this.key, this.operator, this.stage, this.access, this.reads]);
+      });
+      expect(nodes).toEqual([
+        ['a', '$set', 0, 'write', []],
+        ['b.c', '$set', 0, 'write', ['d.e']],
+        ['f', '$addFields', 1, 'write', ['g', 'h']],
+      ]);
+    });
+
+    it('treats $unset, $project and $replaceRoot stages', () => {
+      const mo = new MongoObject([
+        { $unset: ['a', 'b.c'] },
+        { $unset: 'd' },
+        { $project: { e: 1, f: 0 } },
+        { $replaceRoot: { newRoot: '$g' } },
+      ]);
+
+      expect(mo.getPositionsInfoForGenericKey('b.c')).toEqual([
+        {
+          key: 'b.c',
+          value: 'b.c',
+          operator: '$unset',
+          position: '0[$unset][1]',
+          positionalOperators: [],
+          access: 'remove',
+          valueType: 'instruction',
+          stage: 0,
+          reads: [],
+        },
+      ]);
+      expect(mo.getPositionForKey('d')).toBe('1[$unset]');
+      expect(mo.getInfoForKey('f')).toEqual({ value: 0, operator: '$project' });
+      expect(mo.getPositionsInfoForGenericKey('f')[0].access).toBe('remove');
+      expect(mo.getPositionsInfoForGenericKey('e')[0].access).toBe('write');
+      expect(mo.getReadKeys()).toEqual(['g']);
+    });
+
+    it('removes and filters keys within stages', () => {
+      const mo = new MongoObject([
+        { $set: { a: 1, b: 2 } },
+        { $unset: ['a', 'c'] },
+      ]);
+
+      mo.removeKey('a');
+      mo.removeArrayItems();
+      expect(mo.getObject()).toEqual([{ $set: { b: 2 } }, { $unset: ['c'] }]);
+
+      mo.filterGenericKeys((genericKey) => genericKey !== 'c');
+      mo.removeArrayItems();
+      expect(mo.getObject()).toEqual([{ $set: { b: 2 } }]);
+      expect(mo.getPositionForKey('b')).toBe('0[$set][b]');
+    });
+
+    it('undoes removing empty stages', () => {
+      const pipeline = [{ $unset: ['a'] }, { $set: { b: 2 } }];
+      [false, true].forEach((immutable) => {
+        const mo = new MongoObject(MongoObject.clone(pipeline), { history: true, immutable });
+        mo.filterGenericKeys((genericKey) => genericKey !== 'a');
+        mo.removeArrayItems();
+        expect(mo.getObject()).toEqual([{ $set: { b: 2 } }]);
+        expect(mo.getPositionForKey('b')).toBe('0[$set][b]');
+
+        mo.undo();
+        mo.undo();
+        expect(mo.getObject()).toEqual(pipeline);
+        expect(mo.getPositionForKey('b')).toBe('1[$set][b]');
+      });
+    });
+
+    it('removes stages emptied by removeKey', () => {
+      const mo = new MongoObject([{ $unset: 'c' }, { $set: { a: 1 } }, { $set: { b: 2 } }]);
+      mo.removeKey('c');
+      mo.removeKey('a');
+      mo.removeArrayItems();
+      expect(mo.getObject()).toEqual([{ $set: { b: 2 } }]);
+    });
+
+    it('removes stages emptied within a batch', () => {
+      const mo = new MongoObject([{ $set: { a: 1 } }, { $set: { b: 2 } }]);
+      mo.batch(() => {
+        mo.removeKey('a');
+        mo.removeArrayItems();
+      });
+      expect(mo.getObject()).toEqual([{ $set: { b: 2 } }]);
+    });
+
+    it('leaves $unset stages out of getFlatObject', () => {
+      const mo = new MongoObject([{ $set: { a: 1 } }, { $unset: ['f', 'g'] }]);
+      expect(mo.getFlatObject()).toEqual({ a: 1 });
+    });
+
+    it('does not treat other arrays as pipelines', () => {
+      const mo = new MongoObject([{ $set: { a: 1 } }, { b: 1 }]);
+      expect(mo.isPipeline()).toBe(false);
+      expect(mo.affectsKey('a')).toBe(false);
+    });
+  });
+
+  describe('projections', () => {
+    const doc = {
+      _id: 'x',
+      a: 1,
+      b: { c: 2, d: 3 },
+      e: [{ f: 1, g: 2 }, { f: 3, g: 4 }, 5],
+      secret: 'y',
+    };
+
+    it('applies inclusion projections', () => {
+      expect(MongoObject.applyProjection(doc, { a: 1, 'b.c': 1, 'e.f': true })).toEqual({
+        _id: 'x',
+        a: 1,
+        b: { c: 2 },
+        e: [{ f: 1 }, { f: 3 }],
+      });
+      expect(MongoObject.applyProjection(doc, { _id: 0, b: { d: 1 } })).toEqual({ b: { d: 3 } });
+      expect(MongoObject.applyProjection(doc, { _id: 1 })).toEqual({ _id: 'x' });
+    });
+
+    it('applies exclusion projections', () => {
+      expect(MongoObject.applyProjection(doc, { secret: 0, 'e.g': 0, _id: false })).toEqual({
+        a: 1,
+        b: { c: 2, d: 3 },
+        e: [{ f: 1 }, { f: 3 }, 5],
+      });
+      expect(MongoObject.applyProjection(doc, {})).toEqual(doc);
+    });
+
+    it('applies $slice and $elemMatch projections', () => {
+      const list = { _id: 1, a: [1, 2, 3, 4], b: 5 };
+      expect(MongoObject.applyProjection(list, { a: { $slice: 2 } })).toEqual({ _id: 1, a: [1, 2], b: 5 });
+      expect(MongoObject.applyProjection(list, { a: { $slice: -1 } })).toEqual({ _id: 1, a: [4], b: 5 });
+      expect(MongoObject.applyProjection(list, { a: { $slice: [-3, 2] }, b: 0 })).toEqual({ _id: 1, a: [2, 3] });
+      expect(MongoObject.applyProjection(doc, { e: { $elemMatch: { f: { $gt: 1 } } } })).toEqual({ _id: 'x', e: [{ f: 3, g: 4 }] });
+      expect(MongoObject.applyProjection(doc, { e: { $elemMatch: { f: 9 } } })).toEqual({ _id: 'x' });
+    });
+
+    it('validates projections', () => {
+      expect(MongoObject.validateProjection({ a: 1, 'b.c': 1, _id: 0 })).toEqual([]);
+      expect(MongoObject.validateProjection({ a: 1, b: 0, 'a.c': 1, d: { $meta: 'textScore' }, e: { $slice: [1, 0] } })).toEqual([
+        { code: 'UNKNOWN_OPERATOR', key: 'd', message: 'Unknown projection operator $meta' },
+        { code: 'INVALID_ARGUMENT', key: 'e', message: 'The $slice projection of \'e\' must be a number or a [skip, limit] pair with a positive limit' },
+        { code: 'MIXED_INCLUSION_EXCLUSION', key: 'b', message: 'Cannot both include and exclude fields, as \'b\' does' },
+        { code: 'PATH_COLLISION', key: 'a.c', message: 'Projecting \'a.c\' collides with projecting \'a\'' },
+      ]);
+      expect(() => MongoObject.applyProjection(doc, { a: 1, b: 0 })).toThrow(/Cannot both include and exclude/);
+    });
+
+    it('tells whether a projection affects a key', () => {
+      expect(MongoObject.projectionAffectsKey({ 'b.c': 1 }, 'b')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ 'b.c': 1 }, 'b.c.d')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ 'b.c': 1 }, 'b.d')).toBe(false);
+      expect(MongoObject.projectionAffectsKey({ 'b.c': 1 }, '_id')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ 'b.c': 1, _id: 0 }, '_id')).toBe(false);
+      expect(MongoObject.projectionAffectsKey({ 'e.f': 1 }, 'e.$.f')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ secret: 0 }, 'secret.x')).toBe(false);
+      expect(MongoObject.projectionAffectsKey({ secret: 0 }, 'a')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ _id: 1 }, 'a')).toBe(false);
+      expect(MongoObject.projectionAffectsKey({ _id: 1 }, '_id')).toBe(true);
+      expect(MongoObject.projectionAffectsKey({ _id: 1, secret: 0 }, 'a')).toBe(true);
+    });
+  });
+
+  describe('generic key patterns', () => {
+    function makeDoc() {
+      return {
+        password: 'a',
+        profile: { name: 'b', address: { city: 'c' } },
+        accounts: [{ name: 'd', password: 'e' }],
+        items: [{ sku: 'f', price: 1 }],
+        createdAt: 1,
+        updatedAt: 2,
+      };
+    }
+
+    it('matches `*` within one piece and `**` across pieces', () => {
+      const mo = new MongoObject(makeDoc());
+      expect(mo.getPositionsForGenericKey('profile.*')).toEqual(['profile[name]', 'profile[address]']);
+      expect(mo.getPositionsForGenericKey('**.password')).toEqual(['password', 'accounts[0][password]']);
+      expect(mo.getPositionsForGenericKey('items.$.*')).toEqual(['items[0][sku]', 'items[0][price]']);
+      expect(mo.getPositionsForGenericKey('profile.**')).toEqual(['profile[name]', 'profile[address]', 'profile[address][city]']);
+      expect(mo.getPositionsForGenericKey('*At')).toEqual(['createdAt', 'updatedAt']);
+      expect(mo.affectsGenericKey('profile.*.city')).toBe(true);
+      expect(mo.affectsGenericKey('*.city')).toBe(false);
+    });
+
+    it('matches RegExps against whole generic keys', () => {
+      const mo = new MongoObject(makeDoc());
+      expect(mo.getPositionsForGenericKey(/^accounts\.\$\./)).toEqual(['accounts[0][name]', 'accounts[0][password]']);
+      expect(mo.affectsGenericKey(/\.city$/g)).toBe(true);
+      expect(mo.affectsGenericKey(/\.city$/g)).toBe(true);
+    });
+
+    it('removes keys matching patterns', () => {
+      const mo = new MongoObject(makeDoc());
+      mo.removeGenericKeys(['**.password', /At$/, 'profile.**']);
+      expect(mo.getObject()).toEqual({
+        profile: {},
+        accounts: [{ name: 'd' }],
+        items: [{ sku: 'f', price: 1 }],
+      });
+    });
+
+    it('blackboxes keys matching patterns', () => {
+      const mo = new MongoObject(makeDoc(), { blackboxKeys: ['profile.*', /^accounts\.\$$/] });
+      expect(mo.affectsGenericKey('profile.address')).toBe(true);
+      expect(mo.affectsGenericKey('profile.address.city')).toBe(false);
+      expect(mo.affectsGenericKey('accounts.$')).toBe(true);
+      expect(mo.affectsGenericKey('accounts.$.name')).toBe(false);
+    });
+  });
+
+  describe('change observers', () => {
+    function observe(mo) {
+      const changes = [];
+      mo.on('change', (change) => changes.push(change));
+      return changes;
+    }
+
+    it('reports sets and removes', () => {
+      const mo = new MongoObject({ $set: { a: 1 }, $unset: { b: '' } });
+      const changes = observe(mo);
+
+      mo.setValueForPosition('$set[a]', 2);
+      mo.addKey('c', 3, '$inc');
+      mo.removeValueForPosition('$unset[b]');
+      mo.removeValueForPosition('$unset[b]');
+
+      expect(changes).toEqual([
+        { type: 'set', position: '$set[a]', key: 'a', genericKey: 'a', operator: '$set', oldValue: 1, newValue: 2 },
+        { type: 'set', position: '$inc[c]', key: 'c', genericKey: 'c', operator: '$inc', oldValue: undefined, newValue: 3 },
+        { type: 'remove', position: '$unset[b]', key: 'b', genericKey: 'b', operator: '$unset', oldValue: '', newValue: undefined },
+      ]);
+    });
+
+    it('reports each change made by bulk methods and batches once', () => {
+      const mo = new MongoObject({ a: [{ b: 1 }, { b: 2 }], c: 3, d: 4 });
+      const changes = observe(mo);
+
+      mo.removeGenericKeys(['a.$.b', 'c']);
+      expect(changes.map(({ position, type }) => `${type} ${position}`)).toEqual([
+        'remove a[0][b]',
+        'remove a[1][b]',
+        'remove c',
+      ]);
+
+      changes.length = 0;
+      mo.batch(() => {
+        mo.setValueForPosition('d', 5);
+        mo.setValueForPosition('d', 6);
+        mo.filterGenericKeys((genericKey) => genericKey !== 'a');
+      });
+      expect(changes.map(({ position, oldValue, newValue }) => [position, oldValue, newValue])).toEqual([
+        ['d', 4, 6],
+        ['a', [{}, {}], undefined],
+      ]);
+    });
+
+    it('stops calling removed listeners', () => {
+      const mo = new MongoObject({ a: 1 });
+      let calls = 0;
+      const listener = () => { calls += 1; };
+
+      expect(mo.on('change', listener)).toBe(mo);
+      mo.setValueForPosition('a', 2);
+      mo.off('change', listener);
+      mo.setValueForPosition('a', 3);
+      expect(calls).toBe(1);
+      expect(() => mo.on('update', listener)).toThrow('Unknown event update');
+    });
+  });
+
+  describe('history', () => {
+    it('records each call as one operation', () => {
+      const mo = new MongoObject({ $set: { a: 1, b: [1, 2] } }, { history: true });
+      mo.setValueForPosition('$set[a]', 2);
+      mo.addKey('c.d', 3, null);
+      mo.removeGenericKeys(['b.$']);
+      mo.removeArrayItems();
+
+      expect(mo.getHistory()).toEqual([
+        { operation: 'setValueForPosition', changes: [{ type: 'set', position: '$set[a]', oldValue: 1, newValue: 2 }] },
+        { operation: 'addKey', changes: [{ type: 'set', position: 'c', oldValue: undefined, newValue: { d: 3 } }] },
+        {
+          operation: 'removeGenericKeys',
+          changes: [
+            { type: 'remove', position: '$set[b][0]', oldValue: 1, newValue: undefined },
+            { type: 'remove', position: '$set[b][1]', oldValue: 2, newValue: undefined },
+          ],
+        },
+        { operation: 'removeArrayItems', changes: [{ type: 'compact', removedItems: [{ position: '$set[b]', indexes: [0, 1] }] }] },
+      ]);
+    });
+
+    it('undoes and redoes operations', () => {
+      const mo = new MongoObject({ a: [1, 2, 3], b: 1 }, { history: true });
+      mo.removeValueForPosition('a[1]');
+      mo.removeArrayItems();
+      mo.setValueForPosition('a[2]', 4);
+      mo.batch(() => {
+        mo.setValueForPosition('b', 2);
+        mo.setValueForPosition('c', 3);
+      });
+      expect(mo.getObject()).toEqual({ a: [1, 3, 4], b: 2, c: 3 });
+
+      expect(mo.undo()).toBe(true);
+      expect(mo.getObject()).toEqual({ a: [1, 3, 4], b: 1 });
+      mo.undo();
+      expect(mo.getObject()).toEqual({ a: [1, 3], b: 1 });
+      mo.undo();
+      expect(mo.getObject()).toEqual({ a: [1, '______MONGO_OBJECT_REMOVED______', 3], b: 1 });
+      mo.undo();
+      expect(mo.getObject()).toEqual({ a: [1, 2, 3], b: 1 });
+      expect(mo.undo()).toBe(false);
+
+      mo.redo();
+      expect(mo.getObject()).toEqual({ a: [1, '______MONGO_OBJECT_REMOVED______', 3], b: 1 });
+      mo.redo();
+      expect(mo.getObject()).toEqual({ a: [1, 3], b: 1 });
+      expect(mo.getPositionForKey('a.1')).toBe('a[1]');
+
+      mo.setValueForPosition('b', 5);
+      expect(mo.redo()).toBe(false);
+    });
+
+    it('puts removed items back before their values', () => {
+      [false, true].forEach((immutable) => {
+        [
+          (mo) => mo.removeValueForPosition('a[0]'),
+          (mo) => mo.removeKey('a.0'),
+        ].forEach((remove) => {
+          const mo = new MongoObject({ a: [1, 2, 3] }, { history: true, immutable });
+          remove(mo);
+          mo.removeArrayItems();
+          expect(mo.getObject()).toEqual({ a: [2, 3] });
+
+          mo.undo();
+          expect(mo.getObject()).toEqual({ a: ['______MONGO_OBJECT_REMOVED______', 2, 3] });
+          mo.undo();
+          expect(mo.getObject()).toEqual({ a: [1, 2, 3] });
+
+          mo.redo();
+          mo.redo();
+          expect(mo.getObject()).toEqual({ a: [2, 3] });
+        });
+      });
+    });
+
+    it('records forEachNode as one operation', () => {
+      const mo = new MongoObject({ $set: { a: 1, b: 2 } }, { history: true });
+      mo.forEachNode(function multiplyValue() {
+        this.updateValue(this.value * 10);
+      });
+      expect(mo.getObject()).toEqual({ $set: { a: 10, b: 20 } });
+      expect(mo.getHistory().length).toBe(1);
+      expect(mo.getHistory()[0].operation).toBe('forEachNode');
+
+      mo.undo();
+      expect(mo.getObject()).toEqual({ $set: { a: 1, b: 2 } });
+    });
+
+    it('keeps copies of old values', () => {
+      const mo = new MongoObject({ a: { b: 1 } }, { history: true });
+      const oldValues = [];
+      mo.on('change', ({ oldValue }) => oldValues.push(oldValue));
+
+      const a = mo.getObject().a;
+      mo.removeValueForPosition('a');
+      a.b = 2;
+      expect(oldValues).toEqual([{ b: 1 }]);
+      expect(mo.getHistory()[0].changes[0].oldValue).toEqual({ b: 1 });
+
+      mo.undo();
+      expect(mo.getObject()).toEqual({ a: { b: 1 } });
+    });
+
+    it('replays a history serialized to JSON', () => {
+      const doc = { $set: { a: 1 }, $push: { b: { $each: [1, 2] } } };
+      const mo = new MongoObject(MongoObject.clone(doc), { history: true, immutable: true });
+      mo.removeKey('b');
+      mo.removeArrayItems();
+      mo.addKey('c', { d: 1 }, '$inc');
+
+      const other = new MongoObject(MongoObject.clone(doc));
+      other.replay(JSON.parse(JSON.stringify(mo.getHistory())));
+      expect(other.getObject()).toEqual({ $set: { a: 1 }, $push: { b: {} }, $inc: { c: { d: 1 } } });
+      expect(other.getObject()).toEqual(mo.getObject());
+    });
+
+    it('requires the history option', () => {
+      const mo = new MongoObject({ a: 1 });
+      expect(() => mo.undo()).toThrow(/history option/);
+    });
+  });
+
+  describe('structure errors', () => {
+    function nest(depth) {
+      let doc = { leaf: 1 };
+      for (let i = 0; i < depth; i++) doc = { a: doc };
+      return doc;
+    }
+
+    function catchError(fn) {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+    }
+
+    it('finds circular references while parsing', () => {
+      const doc = { a: { b: [1, {}] } };
+      doc.a.b[1].c = doc.a;
+
+      const error = catchError(() => new MongoObject(doc));
+      expect(error).toBeA(MongoObject.ObjectStructureError);
+      expect(error).toBeAn(Error);
+      expect(error.code).toBe('CIRCULAR_REFERENCE');
+      expect(error.position).toBe('a[b][1][c]');
+      expect(error.message).toBe('The value at a[b][1][c] contains itself');
+
+      const mo = new MongoObject({ a: {} });
+      expect(() => mo.setValueForPosition('a[self]', mo.getObject())).toThrow(/contains itself/);
+    });
+
+    it('finds circular references without a depth limit', () => {
+      const doc = { a: { b: [1, {}] } };
+      doc.a.b[1].c = doc.a;
+
+      const options = { maxDepth: Infinity };
+      expect(catchError(() => new MongoObject(doc, options)).position).toBe('a[b][1][c]');
+      expect(catchError(() => MongoObject.cleanNulls(doc, false, false, options)).position).toBe('a[b][1][c]');
+      expect(catchError(() => MongoObject.escapeKeys(doc, options)).position).toBe('a[b][1][c]');
+      expect(catchError(() => MongoObject.validateFieldNames(doc, options)).code).toBe('CIRCULAR_REFERENCE');
+    });
+
+    it('leaves the object as it was when a change would make it invalid', () => {
+      [false, true].forEach((immutable) => {
+        const mo = new MongoObject({ $set: { a: { b: 1 }, c: [1] } }, { immutable, maxDepth: 4 });
+        const original = MongoObject.clone(mo.getObject());
+        const loop = { b: 1 };
+        loop.self = loop;
+
+        expect(catchError(() => mo.setValueForPosition('$set[a]', loop)).code).toBe('CIRCULAR_REFERENCE');
+        expect(catchError(() => mo.setValueForPosition('$set[c][3][d]', { e: { f: 1 } })).code).toBe('MAX_DEPTH_EXCEEDED');
+        expect(catchError(() => mo.setValueForPosition('$set[x][y][z]', { w: { v: 1 } })).code).toBe('MAX_DEPTH_EXCEEDED');
+        expect(mo.getObject()).toEqual(original);
+        expect(mo.getObject().$set.c.length).toBe(1);
+        expect(mo.getFlatObject()).toEqual({ 'a.b': 1, 'c.0': 1 });
+        expect(mo.affectsKey('x')).toBe(false);
+
+        mo.setValueForPosition('$set[a][b]', 2);
+        expect(mo.getObject().$set.a).toEqual({ b: 2 });
+      });
+    });
+
+    it('limits the depth of parsed objects', () => {
+      expect(() => new MongoObject(nest(100))).toNotThrow();
+
+      const error = catchError(() => new MongoObject(nest(101)));
+      expect(error.code).toBe('MAX_DEPTH_EXCEEDED');
+      expect(error.position.length).toBe(301);
+
+      expect(() => new MongoObject(nest(3), { maxDepth: 2 })).toThrow('The value at a[a][a] is nested more than 2 levels deep');
+    });
+
+    it('checks depth and cycles in cleanNulls and expandObj', () => {
+      const doc = { a: null, b: {} };
+      doc.b.c = doc;
+      expect(catchError(() => MongoObject.cleanNulls(doc)).position).toBe('b[c]');
+      expect(MongoObject.cleanNulls(nest(3), false, false, { maxDepth: 3 })).toEqual(nest(3));
+      expect(() => MongoObject.cleanNulls(nest(3), false, false, { maxDepth: 2 })).toThrow(/nested more than 2/);
+
+      expect(MongoObject.expandObj({ 'a.b': 1 }, { maxDepth: 2 })).toEqual({ a: { b: 1 } });
+      expect(catchError(() => MongoObject.expandObj({ 'a.b.c': 1 }, { maxDepth: 2 })).code).toBe('MAX_DEPTH_EXCEEDED');
+    });
+  });
+
+  describe('blackbox predicates and types', () => {
+    const marker = typeof Symbol === 'function' ? Symbol('blackbox') : '__blackbox';
+
+    function Point(coordinates) {
+      this.coordinates = coordinates;
+    }
+
+    function makeDoc() {
+      const settings = { theme: 'dark', extra: null };
+      settings[marker] = true;
+      return {
+        location: { type: 'Point', coordinates: [1, 2] },
+        created: { $date: 1 },
+        settings,
+        tags: ['a', 'b'],
+        point: new Point([3, 4]),
+        name: 'x',
+      };
+    }
+
+    function isBlackbox(value, genericKey) {
+      return value.type === 'Point' || '$date' in value || !!value[marker] || genericKey === 'tags';
+    }
+
+    it('treats objects and arrays matching a predicate as endpoints', () => {
+      const mo = new MongoObject(makeDoc(), { blackboxPredicate: isBlackbox });
+      const keys = [];
+      mo.forEachNode(function collectKey() {
+        keys.push(this.genericKey);
+      });
+      expect(keys).toEqual(['location', 'created', 'settings', 'tags', 'point', 'name']);
+      expect(mo.getFlatObject().tags).toEqual(['a', 'b']);
+    });
+
+    it('still parses the items of arrays listed in blackboxKeys', () => {
+      const mo = new MongoObject({ a: [1, 2], b: { c: [3] } }, ['a', 'b']);
+      expect(mo.getPositionForKey('a.0')).toBe('a[0]');
+      expect(mo.getPositionForKey('b.c.0')).toBe(undefined);
+      expect(mo.getFlatObject()).toEqual({ 'a.0': 1, 'a.1': 2, b: { c: [3] } });
+
+      const modifier = new MongoObject({ $push: { a: { $each: [{ x: 1 }] } }, $set: { b: [{ y: 1 }] } }, ['a', 'b']);
+      expect(modifier.affectsKey('a.0.x')).toBe(true);
+      expect(modifier.affectsKey('b.0.y')).toBe(true);
+
+      expect(MongoObject.docToModifier({ a: [1, 2] }, { blackboxKeys: ['a'] })).toEqual({ $set: { 'a.0': 1, 'a.1': 2 } });
+    });
+
+    it('blackboxes values of listed types', () => {
+      MongoObject.registerType({ name: 'Point', test: (value) => value instanceof Point, traversable: true });
+      try {
+        expect(new MongoObject(makeDoc()).affectsGenericKey('point.coordinates')).toBe(true);
+        expect(new MongoObject(makeDoc(), { blackboxTypes: ['Point'] }).affectsGenericKey('point.coordinates')).toBe(false);
+      } finally {
+        MongoObject.unregisterType('Point');
+      }
+
+      expect(new MongoObject({ p: new Point([1]) }, { blackboxTypes: [Point] }).getFlatObject()).toEqual({ p: new Point([1]) });
+    });
+
+    it('sets blackboxed values whole in docToModifier', () => {
+      const modifier = MongoObject.docToModifier(makeDoc(), { blackboxPredicate: isBlackbox, blackboxKeys: ['point'] });
+      expect(modifier).toEqual({
+        $set: {
+          name: 'x',
+          location: { type: 'Point', coordinates: [1, 2] },
+          created: { $date: 1 },
+          settings: makeDoc().settings,
+          tags: ['a', 'b'],
+          point: new Point([3, 4]),
+        },
+      });
+      expect(modifier.$set.settings.extra).toBe(null);
+    });
+  });
+
+  describe('forEachNodeAsync', () => {
+    function delay(ms) {
+      return new Promise((resolve) => setTimeout(resolve, ms));
+    }
+
+    it('applies updates after all callbacks settle', () => {
+      const mo = new MongoObject({ $set: { owner: 'ann', 'reviewers.0': 'bob', count: 1 } });
+      const ids = { ann: 'id-1', bob: 'id-2' };
+      const seen = [];
+
+      const promise = mo.forEachNodeAsync(function resolveUser() {
+        if (typeof this.value !== 'string') {
+          this.remove();
+          return undefined;
+        }
+
+        return delay(5).then(() => {
+          seen.push(mo.getValueForPosition(this.position));
+          this.updateValue(ids[this.value]);
+        });
+      });
+
+      return promise.then(() => {
+        expect(seen).toEqual(['ann', 'bob']);
+        expect(mo.getObject()).toEqual({ $set: { owner: 'id-1', 'reviewers.0': 'id-2' } });
+      });
+    });
+
+    it('limits how many callbacks run at once', () => {
+      const mo = new MongoObject({ a: 1, b: 2, c: 3, d: 4, e: 5 });
+      let running = 0;
+      let mostRunning = 0;
+
+      return mo.forEachNodeAsync(function double() {
+        running += 1;
+        mostRunning = Math.max(mostRunning, running);
+        return delay(5).then(() => {
+          running -= 1;
+          this.updateValue(this.value * 2);
+        });
+      }, { concurrency: 2 }).then(() => {
+        expect(mostRunning).toBe(2);
+        expect(mo.getObject()).toEqual({ a: 2, b: 4, c: 6, d: 8, e: 10 });
+      });
+    });
+
+    it('changes nothing when a callback fails', () => {
+      const mo = new MongoObject({ a: 1, b: 2, c: 3 });
+      const called = [];
+
+      return mo.forEachNodeAsync(function failOnB() {
+        called.push(this.key);
+        this.updateValue(0);
+        if (this.key === 'b') throw new Error('lookup failed');
+        return delay(5);
+      }, { concurrency: 1 }).then(() => {
+        throw new Error('Expected a rejection');
+      }, (error) => {
+        expect(error.message).toBe('lookup failed');
+        expect(called).toEqual(['a', 'b']);
+        expect(mo.getObject()).toEqual({ a: 1, b: 2, c: 3 });
+      });
+    });
+  });
+
+  describe('traversal options', () => {
+    function makeModifier() {
+      return {
+        $set: { a: { b: 1, c: [2, 3] }, 'profile.password': 'x' },
+        $inc: { count: 1 },
+      };
+    }
+
+    function visitedKeys(mo, options) {
+      const keys = [];
+      mo.forEachNode(function collectKey() {
+        keys.push(this.key);
+      }, options);
+      return keys;
+    }
+
+    it('visits nodes in document order, before or after their contents', () => {
+      const mo = new MongoObject(makeModifier());
+
+      // Reparsing a node doesn't move it
+      mo.setValueForPosition('$set[a][b]', 4);
+
+      expect(visitedKeys(mo)).toEqual(['a.b', 'a.c.0', 'a.c.1', 'profile.password', 'count']);
+      expect(visitedKeys(mo, { endPointsOnly: false })).toEqual(['a', 'a.b', 'a.c', 'a.c.0', 'a.c.1', 'profile.password', 'count']);
+      expect(visitedKeys(mo, { endPointsOnly: false, order: 'post' })).toEqual(['a.b', 'a.c.0', 'a.c.1', 'a.c', 'a', 'profile.password', 'count']);
+    });
+
+    it('filters nodes by operator, generic key and depth', () => {
+      const mo = new MongoObject(makeModifier());
+      expect(visitedKeys(mo, { operators: ['$inc'] })).toEqual(['count']);
+      expect(visitedKeys(mo, { genericKeys: ['**.password', /^a\.c/] })).toEqual(['a.c.0', 'a.c.1', 'profile.password']);
+      expect(visitedKeys(mo, { endPointsOnly: false, minDepth: 2, maxDepth: 2 })).toEqual(['a.b', 'a.c', 'profile.password']);
+    });
+
+    it('stops early', () => {
+      const mo = new MongoObject(makeModifier());
+      const keys = [];
+      mo.forEachNode(function removeUntilC() {
+        keys.push(this.key);
+        this.remove();
+        if (this.genericKey === 'a.c.$') this.stop();
+      });
+      expect(keys).toEqual(['a.b', 'a.c.0']);
+      mo.removeArrayItems();
+      expect(mo.getObject().$set.a).toEqual({ c: [3] });
+    });
+
+    it('iterates over nodes', () => {
+      const mo = new MongoObject(makeModifier());
+      const keys = [];
+      for (const node of mo.nodes({ genericKeys: 'a.**' })) {
+        keys.push(node.key);
+        if (node.key === 'a.c.0') node.updateValue(5);
+      }
+
+      expect(keys).toEqual(['a.b', 'a.c.0', 'a.c.1']);
+      expect(mo.getObject().$set.a.c).toEqual([5, 3]);
+
+      const iterator = mo.nodes();
+      expect(iterator.next().value.operator).toBe('$set');
+      expect(Array.from(iterator).map((node) => node.key)).toEqual(['a.c.0', 'a.c.1', 'profile.password', 'count']);
+    });
+  });
+
+  describe('upsertDocument', () => {
+    function catchError(fn) {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+    }
+
+    it('builds the inserted document from the selector and modifier', () => {
+      const selector = {
+        _id: 'x',
+        'profile.name': 'ann',
+        age: { $gt: 20 },
+        role: { $eq: 'admin' },
+        team: { $in: ['red'] },
+        email: /@example\.com$/,
+        $and: [{ status: 'active' }],
+        $or: [{ a: 1 }, { b: 1 }],
+      };
+      const modifier = {
+        $set: { 'profile.city': 'Oslo' },
+        $setOnInsert: { createdAt: 1 },
+        $inc: { logins: 1 },
+        $push: { tags: 'new' },
+        $unset: { status: '' },
+      };
+
+      expect(MongoObject.upsertDocument(selector, modifier)).toEqual({
+        _id: 'x',
+        profile: { name: 'ann', city: 'Oslo' },
+        role: 'admin',
+        team: 'red',
+        status: 'active',
+        createdAt: 1,
+        logins: 1,
+        tags: ['new'],
+      });
+    });
+
+    it('inserts replacement documents with the selector _id', () => {
+      expect(MongoObject.upsertDocument({ _id: 'x', a: 1 }, { b: 2 })).toEqual({ b: 2, _id: 'x' });
+    });
+
+    it('reports conflicts', () => {
+      let error = catchError(() => MongoObject.upsertDocument({ a: 1 }, { $set: { 'a.b': 2 } }));
+      expect(error.message).toBe('Cannot update \'a.b\' because the selector matches \'a\' with a value of type number');
+      expect(error.keys).toEqual(['a', 'a.b']);
+
+      error = catchError(() => MongoObject.upsertDocument({}, { $set: { a: 1 }, $inc: { 'a.b': 1 } }));
+      expect(error.keys).toEqual(['a', 'a.b']);
+
+      error = catchError(() => MongoObject.upsertDocument({ a: { $eq: 1 }, 'a.b': 2 }, {}));
+      expect(error.keys).toEqual(['a', 'a.b']);
+
+      expect(() => MongoObject.upsertDocument({ _id: 1 }, { $set: { _id: 2 } })).toThrow(/Cannot change the _id/);
+      expect(MongoObject.upsertDocument({ _id: 1, a: { b: 1 } }, { $set: { _id: 1, 'a.c': 2 } })).toEqual({ _id: 1, a: { b: 1, c: 2 } });
+    });
+  });
+
+  describe('field names and escaping', () => {
+    it('validateFieldNames reports each problem with its position', () => {
+      const doc = {
+        a: { 'b.c': 1, list: [{ $d: 2 }] },
+        '': 3,
+        '$e.f': 4,
+        'g\u0000': 5,
+        ok: { fine: true },
+      };
+
+      expect(MongoObject.validateFieldNames(doc)).toEqual([
+        { code: 'DOTTED_FIELD_NAME', field: 'b.c', position: 'a[b.c]', message: "The field name 'b.c' must not contain '.'" },
+        { code: 'DOLLAR_FIELD_NAME', field: '$d', position: 'a[list][0][$d]', message: "The field name '$d' must not start with '$'" },
+        { code: 'EMPTY_FIELD_NAME', field: '', position: '', message: "The field name '' must not be empty" },
+        { code: 'DOLLAR_FIELD_NAME', field: '$e.f', position: '$e.f', message: "The field name '$e.f' must not start with '$'" },
+        { code: 'DOTTED_FIELD_NAME', field: '$e.f', position: '$e.f', message: "The field name '$e.f' must not contain '.'" },
+        { code: 'NULL_CHARACTER', field: 'g\u0000', position: 'g\u0000', message: "The field name 'g\u0000' must not contain the null character" },
+      ]);
+      expect(MongoObject.validateFieldNames({ a: [1, { b: new Date() }] })).toEqual([]);
+    });
+
+    it('escapeKeys and unescapeKeys round-trip any key', () => {
+      const date = new Date();
+      const doc = { 'v1.0': { $price: 5, '%2E': [{ 'a\u0000': date }] }, plain: 'x.y' };
+      const escaped = MongoObject.escapeKeys(doc);
+
+      expect(escaped).toEqual({ 'v1%2E0': { '%24price': 5, '%252E': [{ 'a%00': date }] }, plain: 'x.y' });
+      expect(MongoObject.validateFieldNames(escaped)).toEqual([]);
+      expect(MongoObject.unescapeKeys(escaped)).toEqual(doc);
+      expect(doc['v1.0'].$price).toBe(5);
+    });
+
+    it('treats objects with a length key as maps', () => {
+      expect(MongoObject.escapeKeys({ length: 0, 'a.b': 1 })).toEqual({ length: 0, 'a%2Eb': 1 });
+      expect(MongoObject.escapeKeys({ length: 2, 'a.b': 1 })).toEqual({ length: 2, 'a%2Eb': 1 });
+      expect(MongoObject.unescapeKeys({ length: 2, 'a%2Eb': 1 })).toEqual({ length: 2, 'a.b': 1 });
+      expect(MongoObject.validateFieldNames({ m: { length: 1, 'a.b': 1 } })).toEqual([
+        { code: 'DOTTED_FIELD_NAME', field: 'a.b', position: 'm[a.b]', message: "The field name 'a.b' must not contain '.'" },
+      ]);
+    });
+
+    it('escapeKeys accepts a custom scheme', () => {
+      const scheme = {
+        escape: (key) => key.replace(/\./g, '．').replace(/^\$/, '＄'),
+        unescape: (key) => key.replace(/．/g, '.').replace(/^＄/, '$'),
+      };
+      const escaped = MongoObject.escapeKeys({ 'a.b': { $c: 1 } }, { scheme });
+
+      expect(escaped).toEqual({ 'a．b': { '＄c': 1 } });
+      expect(MongoObject.unescapeKeys(escaped, { scheme })).toEqual({ 'a.b': { $c: 1 } });
+      expect(() => MongoObject.escapeKeys({}, { scheme: 'base64' })).toThrow(/Invalid key escape scheme/);
+    });
+
+    it('docToModifier escapes keys before flattening', () => {
+      const doc = { prices: { 'v1.0': 5, $old: null }, name: 'n' };
+
+      expect(MongoObject.docToModifier(doc, { escapeKeys: true })).toEqual({
+        $set: { 'prices.v1%2E0': 5, name: 'n' },
+        $unset: { 'prices.%24old': '' },
+      });
+    });
+
+    it('getFlatObject escapes document keys but not operator field paths', () => {
+      const mDoc = new MongoObject({ $set: { 'a.b': { 'c.d': 1 }, e: [{ 'f.g': 2 }] } });
+
+      expect(mDoc.getFlatObject({ escapeKeys: true })).toEqual({ 'a.b.c%2Ed': 1, 'e.0.f%2Eg': 2 });
+      expect(mDoc.getFlatObject({ escapeKeys: true, keepArrays: true })).toEqual({ 'a.b.c%2Ed': 1, e: [{ 'f%2Eg': 2 }] });
+      expect(new MongoObject({ a: { 'b.c': { d: 1 } } }).getFlatObject({ escapeKeys: true })).toEqual({ 'a.b%2Ec.d': 1 });
+    });
+  });
 });